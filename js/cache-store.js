@@ -0,0 +1,158 @@
+/**
+ * ============================================
+ * CACHE-STORE.JS - Shopee Affiliate Hub
+ * Persistent IndexedDB cache for catalog data
+ * Version: 1.0.0
+ * ============================================
+ */
+
+'use strict';
+
+/**
+ * Cache Store Class
+ * Thin promise wrapper around a single IndexedDB object store.
+ * Every method resolves (null / no-op) when IndexedDB is unavailable,
+ * so callers can treat the persistent cache as best-effort.
+ */
+class CacheStore {
+    constructor() {
+        this.dbPromise = null;
+    }
+    
+    /**
+     * Open (or create) the database
+     * @returns {Promise<IDBDatabase|null>} Database or null if unavailable
+     */
+    open() {
+        if (!CONFIG.cache.enabled || !ENV.supportsIndexedDB) {
+            return Promise.resolve(null);
+        }
+        
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve) => {
+                let request;
+                
+                try {
+                    request = indexedDB.open(CONFIG.cache.dbName, 1);
+                } catch (error) {
+                    console.warn('[CacheStore] IndexedDB unavailable:', error);
+                    resolve(null);
+                    return;
+                }
+                
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains(CONFIG.cache.storeName)) {
+                        db.createObjectStore(CONFIG.cache.storeName, { keyPath: 'key' });
+                    }
+                };
+                
+                request.onsuccess = () => resolve(request.result);
+                
+                request.onerror = () => {
+                    console.warn('[CacheStore] Could not open database:', request.error);
+                    resolve(null);
+                };
+            });
+        }
+        
+        return this.dbPromise;
+    }
+    
+    /**
+     * Run a request against the object store
+     * @param {string} mode - Transaction mode ('readonly' or 'readwrite')
+     * @param {Function} operation - Receives the store, returns an IDBRequest
+     * @returns {Promise<*>} Request result or null on failure
+     */
+    async run(mode, operation) {
+        const db = await this.open();
+        if (!db) return null;
+        
+        return new Promise((resolve) => {
+            try {
+                const transaction = db.transaction(CONFIG.cache.storeName, mode);
+                const request = operation(transaction.objectStore(CONFIG.cache.storeName));
+                
+                request.onsuccess = () => resolve(request.result ?? null);
+                request.onerror = () => {
+                    console.warn('[CacheStore] Request failed:', request.error);
+                    resolve(null);
+                };
+            } catch (error) {
+                console.warn('[CacheStore] Transaction failed:', error);
+                resolve(null);
+            }
+        });
+    }
+    
+    /**
+     * Get a cache entry
+     * @param {string} key - Cache key
+     * @returns {Promise<Object|null>} Entry ({ key, version, hash, data, storedAt }) or null
+     */
+    async get(key) {
+        const entry = await this.run('readonly', store => store.get(key));
+        
+        // Entries written by an older cache version are ignored
+        if (entry && entry.version !== CONFIG.cache.version) {
+            return null;
+        }
+        
+        return entry;
+    }
+    
+    /**
+     * Store a cache entry
+     * @param {string} key - Cache key
+     * @param {Array} data - Data to store
+     * @param {string} hash - Content hash of the data
+     * @returns {Promise<Object>} Stored entry
+     */
+    async set(key, data, hash) {
+        const entry = {
+            key: key,
+            version: CONFIG.cache.version,
+            hash: hash,
+            data: data,
+            storedAt: Date.now()
+        };
+        
+        await this.run('readwrite', store => store.put(entry));
+        return entry;
+    }
+    
+    /**
+     * Mark an entry as fresh without rewriting its data
+     * @param {Object} entry - Existing entry
+     * @returns {Promise<void>}
+     */
+    async touch(entry) {
+        await this.run('readwrite', store => store.put({ ...entry, storedAt: Date.now() }));
+    }
+    
+    /**
+     * Delete a cache entry
+     * @param {string} key - Cache key
+     * @returns {Promise<void>}
+     */
+    async delete(key) {
+        await this.run('readwrite', store => store.delete(key));
+    }
+    
+    /**
+     * Remove every cache entry
+     * @returns {Promise<void>}
+     */
+    async clear() {
+        await this.run('readwrite', store => store.clear());
+    }
+}
+
+// Create global instance
+const cacheStore = new CacheStore();
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CacheStore;
+}
\ No newline at end of file
@@ -0,0 +1,234 @@
+/**
+ * ============================================
+ * CLICK-TRACKER.JS - Shopee Affiliate Hub
+ * Product / shop click tracking and batching
+ * Version: 1.0.0
+ * ============================================
+ */
+
+'use strict';
+
+/**
+ * Click Tracker Class
+ * Records clicks on links marked with data-track="product|shop" and
+ * data-track-id. Context is read from the markup:
+ * - data-track-target: 'detail' (our own page, default) or 'outbound' (Shopee)
+ * - data-track-section: on a container, names the page section. Outbound
+ *   clicks on a detail page report the placement the visitor came from
+ *   (?src=), matching the utm placement of the Shopee link
+ * - data-track-position: on a card, its 1-based position in the listing
+ *
+ * Clicks are queued under CONFIG.storage.keys.clickQueue and flushed in
+ * batches to a collector: a function (events) => boolean that returns
+ * false when the batch could not be handed over. Unsent clicks stay
+ * queued and are retried on the next flush, including on the next page.
+ */
+class ClickTracker {
+    constructor() {
+        this.queue = this.loadQueue();
+        this.collector = CONFIG.tracking.endpoint
+            ? (events) => this.sendBeacon(events)
+            : (events) => this.collectLocally(events);
+        this.timer = null;
+    }
+    
+    /**
+     * Replace the collector
+     * @param {Function} collector - Function receiving a batch, returns success
+     */
+    setCollector(collector) {
+        this.collector = collector;
+    }
+    
+    /**
+     * Load unsent clicks
+     * @returns {Array} Queued events
+     */
+    loadQueue() {
+        const queue = Utils.getStorage(CONFIG.storage.keys.clickQueue);
+        return Array.isArray(queue) ? queue : [];
+    }
+    
+    /**
+     * Persist unsent clicks, dropping the oldest past CONFIG.tracking.maxQueue
+     */
+    saveQueue() {
+        this.queue = this.queue.slice(-CONFIG.tracking.maxQueue);
+        
+        if (this.queue.length > 0) {
+            Utils.setStorage(CONFIG.storage.keys.clickQueue, this.queue);
+        } else {
+            Utils.removeStorage(CONFIG.storage.keys.clickQueue);
+        }
+    }
+    
+    /**
+     * Record a click
+     * @param {Object} event - { type, id, target, section, position, filters }
+     */
+    track(event) {
+        this.queue.push({
+            type: event.type,
+            id: event.id,
+            target: event.target || 'detail',
+            page: window.location.pathname,
+            section: event.section || 'other',
+            position: event.position || null,
+            filters: event.filters || {},
+            timestamp: new Date().toISOString()
+        });
+        this.saveQueue();
+        
+        if (this.queue.length >= CONFIG.tracking.batchSize) {
+            this.flush();
+        }
+    }
+    
+    /**
+     * Hand queued clicks to the collector
+     * @returns {boolean} Whether the queue was emptied
+     */
+    flush() {
+        if (this.queue.length === 0) return true;
+        
+        const batch = this.queue.slice();
+        let sent = false;
+        
+        try {
+            sent = this.collector(batch);
+        } catch (error) {
+            console.error('[ClickTracker] Collector error:', error);
+        }
+        
+        if (!sent) {
+            console.warn(`[ClickTracker] ${batch.length} clicks kept in the local queue`);
+            return false;
+        }
+        
+        // Clicks tracked meanwhile stay queued
+        this.queue = this.queue.slice(batch.length);
+        this.saveQueue();
+        return true;
+    }
+    
+    /**
+     * Send a batch to CONFIG.tracking.endpoint with navigator.sendBeacon
+     * @param {Array} events - Click events
+     * @returns {boolean} Whether the browser accepted the beacon
+     */
+    sendBeacon(events) {
+        if (!navigator.sendBeacon) return false;
+        
+        const body = new Blob([JSON.stringify({ events: events })], { type: 'application/json' });
+        return navigator.sendBeacon(CONFIG.tracking.endpoint, body);
+    }
+    
+    /**
+     * Local stand-in collector (no endpoint configured)
+     * Appends the batch to CONFIG.storage.keys.clickLog.
+     * @param {Array} events - Click events
+     * @returns {boolean} Always true
+     */
+    collectLocally(events) {
+        const log = this.getLog().concat(events).slice(-CONFIG.tracking.maxLog);
+        Utils.setStorage(CONFIG.storage.keys.clickLog, log);
+        return true;
+    }
+    
+    /**
+     * Get clicks received by the local collector
+     * @returns {Array} Click events, oldest first
+     */
+    getLog() {
+        const log = Utils.getStorage(CONFIG.storage.keys.clickLog);
+        return Array.isArray(log) ? log : [];
+    }
+    
+    /**
+     * Clear the local collector log
+     */
+    clearLog() {
+        Utils.removeStorage(CONFIG.storage.keys.clickLog);
+    }
+    
+    /**
+     * Build a click event from a tracked link
+     * @param {HTMLElement} link - Element with data-track
+     * @returns {Object} Click event
+     */
+    getEvent(link) {
+        const section = link.closest('[data-track-section]');
+        const item = link.closest('[data-track-position]');
+        let position = item ? parseInt(item.dataset.trackPosition, 10) : null;
+        
+        // Cards rendered outside a paged grid: use their order in the section
+        if (!position && section) {
+            const card = link.closest('.product-card, .shop-card');
+            const cards = card ? Array.from(section.querySelectorAll('.product-card, .shop-card')) : [];
+            position = cards.indexOf(card) + 1 || null;
+        }
+        
+        const target = link.dataset.trackTarget || 'detail';
+        const sectionName = section ? section.dataset.trackSection : 'other';
+        
+        return {
+            type: link.dataset.track,
+            id: link.dataset.trackId,
+            target: target,
+            section: target === 'outbound' ? linkBuilder.getSourcePlacement(sectionName) : sectionName,
+            position: position,
+            filters: this.getActiveFilters()
+        };
+    }
+    
+    /**
+     * Get the filters active on this page
+     * @returns {Object} Active filters (empty when the page has none)
+     */
+    getActiveFilters() {
+        if (typeof filterManager === 'undefined' || filterManager.originalData.length === 0) {
+            return {};
+        }
+        return filterManager.getActiveFilters();
+    }
+    
+    /**
+     * Listen for clicks on tracked links and flush periodically / on page hide
+     */
+    bindDocument() {
+        const onClick = (e) => {
+            // Left click, or middle click opening a tab
+            if (e.type === 'auxclick' && e.button !== 1) return;
+            
+            const link = e.target.closest('[data-track]');
+            if (!link) return;
+            
+            this.track(this.getEvent(link));
+        };
+        
+        // Capture, so clicks are recorded before cards are re-rendered
+        document.addEventListener('click', onClick, true);
+        document.addEventListener('auxclick', onClick, true);
+        
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') this.flush();
+        });
+        window.addEventListener('pagehide', () => this.flush());
+        
+        this.timer = setInterval(() => this.flush(), CONFIG.tracking.flushInterval);
+        
+        // Retry clicks left over from a previous page
+        this.flush();
+    }
+}
+
+// Create global instance
+const clickTracker = new ClickTracker();
+
+// Track clicks on every page
+document.addEventListener('DOMContentLoaded', () => clickTracker.bindDocument());
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ClickTracker;
+}
\ No newline at end of file
@@ -21,11 +21,19 @@ const CONFIG = {
     },
     
     // ===== API ENDPOINTS =====
+    // Endpoints may be a file path (typed by extension: .csv, .json, .jsonl)
+    // or a source object, e.g. { type: 'rest', url: '/api/shops', dataPath: 'data' }
     api: {
         baseUrl: '',
+        timeout: 10000,
         endpoints: {
             shops: 'data/shops.csv',
-            products: 'data/products.csv'
+            products: 'data/products.csv',
+            flashSales: 'data/flash-sales.csv',
+            vouchers: 'data/vouchers.csv',
+            priceHistory: 'data/price-history.csv',
+            // A single column, so the "|" separating terms is not taken for the delimiter
+            synonyms: { url: 'data/synonyms.csv', options: { delimiter: ',' } }
         }
     },
     
@@ -33,6 +41,8 @@ const CONFIG = {
     pagination: {
         itemsPerPage: 12,
         itemsPerPageMobile: 8,
+        shopsPerPage: 24,
+        pageSizeOptions: [12, 24, 48, 96],
         maxVisiblePages: 5
     },
     
@@ -118,21 +128,33 @@ const CONFIG = {
     
     // ===== SORT OPTIONS =====
     sortOptions: {
+        // 'relevance' ranks search results (see FilterManager.getSortedData)
         shops: [
+            { value: 'relevance', label: 'Liên quan nhất' },
             { value: 'rating-desc', label: 'Đánh giá cao nhất' },
             { value: 'rating-asc', label: 'Đánh giá thấp nhất' },
+            { value: 'followers-desc', label: 'Nhiều người theo dõi nhất' },
+            { value: 'rating-count-desc', label: 'Nhiều lượt đánh giá nhất' },
             { value: 'name-asc', label: 'Tên A-Z' },
             { value: 'name-desc', label: 'Tên Z-A' }
         ],
         products: [
+            { value: 'relevance', label: 'Liên quan nhất' },
             { value: 'discount-desc', label: 'Giảm nhiều nhất' },
             { value: 'price-asc', label: 'Giá thấp đến cao' },
             { value: 'price-desc', label: 'Giá cao đến thấp' },
             { value: 'sold-desc', label: 'Bán chạy nhất' },
+            { value: 'rating-desc', label: 'Đánh giá cao nhất' },
             { value: 'name-asc', label: 'Tên A-Z' }
         ]
     },
     
+    // Default sort per listing (users can override it in settings)
+    defaultSort: {
+        shops: 'rating-desc',
+        products: 'sold-desc'
+    },
+    
     // ===== PRICE RANGES =====
     priceRanges: [
         { value: 'all', label: 'Tất cả giá', min: 0, max: Infinity },
@@ -152,6 +174,30 @@ const CONFIG = {
         { value: '50', label: 'Trên 50%', min: 50 }
     ],
     
+    // ===== SHOP FILTERS =====
+    shopFilters: {
+        // shop_type value of official stores; every other type counts as 'other'
+        officialType: 'Cửa hàng chính thức',
+        types: [
+            { value: 'all', label: 'Tất cả loại shop' },
+            { value: 'official', label: 'Cửa hàng chính thức' },
+            { value: 'other', label: 'Shop thường' }
+        ],
+        followerThresholds: [
+            { value: 'all', label: 'Tất cả', min: 0 },
+            { value: '50000', label: 'Trên 50K', min: 50000 },
+            { value: '100000', label: 'Trên 100K', min: 100000 },
+            { value: '200000', label: 'Trên 200K', min: 200000 },
+            { value: '300000', label: 'Trên 300K', min: 300000 }
+        ],
+        ratingCountThresholds: [
+            { value: 'all', label: 'Tất cả', min: 0 },
+            { value: '10000', label: 'Trên 10K', min: 10000 },
+            { value: '20000', label: 'Trên 20K', min: 20000 },
+            { value: '30000', label: 'Trên 30K', min: 30000 }
+        ]
+    },
+    
     // ===== ANIMATION SETTINGS =====
     animation: {
         duration: {
@@ -170,13 +216,133 @@ const CONFIG = {
     search: {
         debounceDelay: 300,
         minQueryLength: 2,
-        maxResults: 50
+        maxResults: 50,
+        // Indexed fields; a weight counts as that many occurrences of each token
+        fieldWeights: {
+            name: 3,
+            category: 1,
+            shopName: 1,
+            type: 1
+        },
+        // BM25 ranking (see SearchManager.getScores)
+        bm25: {
+            k1: 1.2,
+            b: 0.75,
+            phraseBoost: 1.5,       // Names containing the whole query
+            categoryBoost: 1.3      // Items in a category the query names ("mỹ phẩm", or a synonym of it)
+        },
+        prefixWeight: 0.9,          // Query word is the start of an indexed word
+        // Typo / Telex tolerant matching of query words against indexed words
+        fuzzy: {
+            enabled: true,
+            tolerance: 0.25,        // Allowed edits per letter of the query word (1 from 4 letters, 2 from 8)
+            maxEdits: 2,
+            ngramThreshold: 0.6,    // Minimum bigram similarity for a match
+            consonantScore: 0.7,    // Same consonants, different vowels ("jin" / "jean")
+            minWordLength: 3,       // Shorter words only match exactly or as a prefix
+            weight: 0.5             // Multiplier for fuzzy and Telex matches, keeping them below exact ones
+        },
+        // Suggestion dropdown under the search inputs (see SearchAutocomplete)
+        autocomplete: {
+            debounceDelay: 150,
+            maxRecent: 5,
+            maxCategories: 3,
+            maxProducts: 5,
+            maxShops: 3
+        }
     },
     
     // ===== FLASH SALE SETTINGS =====
+    // Slots come from CONFIG.api.endpoints.flashSales
     flashSale: {
-        endTime: null, // Will be set dynamically
-        refreshInterval: 1000
+        refreshInterval: 1000,
+        maxProducts: 10
+    },
+    
+    // ===== VOUCHERS =====
+    vouchers: {
+        maxVisible: 6,
+        expiringSoon: 24 * 60 * 60 * 1000, // Show a live countdown in the last 24 hours
+        types: {
+            amount: {
+                name: 'Giảm tiền',
+                gradient: 'from-shopee-500 to-shopee-400',
+                textClass: 'text-shopee-500'
+            },
+            percent: {
+                name: 'Giảm %',
+                gradient: 'from-purple-500 to-pink-500',
+                textClass: 'text-purple-500'
+            },
+            freeship: {
+                name: 'Miễn phí vận chuyển',
+                gradient: 'from-blue-500 to-cyan-500',
+                textClass: 'text-blue-500'
+            }
+        }
+    },
+    
+    // ===== RECENTLY VIEWED =====
+    recentlyViewed: {
+        maxItems: 20,   // History entries kept in storage
+        railSize: 10    // Products shown on the homepage rail
+    },
+    
+    // ===== PRODUCT DETAIL =====
+    productDetail: {
+        similarLimit: 10
+    },
+    
+    // ===== NEWSLETTER =====
+    // Leave endpoint empty to simulate submissions locally (nothing is sent)
+    newsletter: {
+        endpoint: '',
+        mockDelay: 600
+    },
+    
+    // ===== CLICK TRACKING =====
+    // Leave endpoint empty to collect clicks in a local log (see ClickTracker)
+    tracking: {
+        endpoint: '',
+        batchSize: 10,          // Flush once this many clicks are queued
+        flushInterval: 15000,   // ...or at least this often (ms)
+        maxQueue: 500,          // Unsent clicks kept while the collector is unreachable
+        maxLog: 1000            // Clicks kept by the local collector
+    },
+    
+    // ===== AFFILIATE LINK TAGGING =====
+    // Parameters appended to outbound affiliate links (see LinkBuilder).
+    // Placement keys match the data-track-section names; values may use
+    // {id} (product/shop id) and {placement}. Parameters already present
+    // in the CSV link are kept as they are.
+    affiliateLinks: {
+        defaults: {
+            utm_source: 'shopee-hub',
+            utm_medium: 'affiliate',
+            utm_content: '{id}'
+        },
+        placements: {
+            'flash-sale': { sub_id: 'home_flashsale', utm_campaign: 'flash-sale' },
+            'hot-products': { sub_id: 'home_hot', utm_campaign: 'hot-products' },
+            'top-shops': { sub_id: 'home_topshops', utm_campaign: 'top-shops' },
+            'recently-viewed': { sub_id: 'home_recent', utm_campaign: 'recently-viewed' },
+            'products-grid': { sub_id: 'products_grid', utm_campaign: 'products' },
+            'search-results': { sub_id: 'search', utm_campaign: 'search' },
+            'search-autocomplete': { sub_id: 'search_suggest', utm_campaign: 'search-autocomplete' },
+            'shops-grid': { sub_id: 'shops_grid', utm_campaign: 'shops' },
+            'favorites': { sub_id: 'favorites', utm_campaign: 'favorites' },
+            'similar-products': { sub_id: 'similar', utm_campaign: 'similar-products' },
+            'product-detail': { sub_id: 'product_page', utm_campaign: 'product-detail' },
+            'shop-detail': { sub_id: 'shop_page', utm_campaign: 'shop-detail' },
+            'shop-products': { sub_id: 'shop_products', utm_campaign: 'shop-products' }
+        }
+    },
+    
+    // ===== DASHBOARD =====
+    dashboard: {
+        thinCategory: 5,        // Flag categories with fewer products
+        overpricedRatio: 1.5,   // Flag groups averaging this much above the catalog
+        topClicked: 10
     },
     
     // ===== BANNER SLIDER =====
@@ -192,6 +358,18 @@ const CONFIG = {
         maxVisible: 3
     },
     
+    // ===== OFFLINE CACHE (IndexedDB) =====
+    // Bump version to invalidate every cached dataset
+    cache: {
+        enabled: true,
+        dbName: 'shopee_hub_cache',
+        storeName: 'catalog',
+        version: 1,
+        staleAfter: 5 * 60 * 1000,      // Serve without revalidating for 5 minutes
+        notifyDelay: 500,               // Batch revalidated datasets finishing within 0.5s
+        maxAge: 7 * 24 * 60 * 60 * 1000 // Never serve entries older than 7 days (unless offline)
+    },
+    
     // ===== LOCAL STORAGE KEYS =====
     storage: {
         prefix: 'shopee_hub_',
@@ -199,7 +377,10 @@ const CONFIG = {
             favorites: 'favorites',
             recentSearches: 'recent_searches',
             viewedProducts: 'viewed_products',
-            settings: 'settings'
+            settings: 'settings',
+            newsletter: 'newsletter',
+            clickQueue: 'click_queue',
+            clickLog: 'click_log'
         }
     },
     
@@ -237,20 +418,16 @@ const ENV = {
         } catch (e) {
             return false;
         }
+    })(),
+    supportsIndexedDB: (() => {
+        try {
+            return typeof indexedDB !== 'undefined' && indexedDB !== null;
+        } catch (e) {
+            return false;
+        }
     })()
 };
 
-/**
- * Initialize Flash Sale End Time
- * Sets the end time to midnight of the current day
- */
-(function initFlashSaleTime() {
-    const now = new Date();
-    const endOfDay = new Date(now);
-    endOfDay.setHours(23, 59, 59, 999);
-    CONFIG.flashSale.endTime = endOfDay;
-})();
-
 /**
  * Freeze configuration to prevent modifications
  */
@@ -17,6 +17,187 @@ class CSVHandler {
     constructor() {
         this.cache = new Map();
         this.isLoading = false;
+        this.validationReports = {};
+        this.adapters = new Map();
+        this.listeners = [];
+        this.pendingUpdates = new Map();
+        this.notifyTimer = null;
+        this.notifying = Promise.resolve();
+        
+        // Register built-in data source adapters
+        Object.entries(DATA_SOURCE_ADAPTERS).forEach(([type, Adapter]) => {
+            this.registerAdapter(type, new Adapter());
+        });
+    }
+    
+    /**
+     * Register a data source adapter
+     * @param {string} type - Source type (e.g. 'csv', 'json', 'rest')
+     * @param {Object} adapter - Adapter instance with async load(source)
+     */
+    registerAdapter(type, adapter) {
+        this.adapters.set(type, adapter);
+    }
+    
+    /**
+     * Resolve an endpoint into a source descriptor
+     * Strings are treated as file URLs and typed by extension; objects
+     * ({ type, url, dataPath, headers, ... }) are used as given.
+     * @param {string|Object} endpoint - Endpoint from CONFIG.api.endpoints
+     * @returns {Object} Source descriptor
+     */
+    resolveSource(endpoint) {
+        const source = typeof endpoint === 'string' ? { url: endpoint } : { ...endpoint };
+        
+        if (!source.type) {
+            const extension = (source.url.split('?')[0].split('.').pop() || '').toLowerCase();
+            const byExtension = { csv: 'csv', json: 'json', jsonl: 'jsonl', ndjson: 'jsonl' };
+            source.type = byExtension[extension] || 'csv';
+        }
+        
+        return source;
+    }
+    
+    /**
+     * Get the cache key of an endpoint
+     * @param {string|Object} endpoint - Endpoint or resolved source descriptor
+     * @returns {string} Cache key
+     */
+    getCacheKey(endpoint) {
+        const source = this.resolveSource(endpoint);
+        return `${source.type}:${source.url}`;
+    }
+    
+    /**
+     * Get the names of the CONFIG.api.endpoints in a batch of updates
+     * @param {Array} updates - Updates passed to subscribers
+     * @returns {Set<string>} Endpoint names (e.g. 'shops', 'products')
+     */
+    getUpdatedEndpoints(updates) {
+        const keys = new Set(updates.map(update => update.key));
+        
+        return new Set(Object.keys(CONFIG.api.endpoints)
+            .filter(name => keys.has(this.getCacheKey(CONFIG.api.endpoints[name]))));
+    }
+    
+    /**
+     * Load records from any supported data source
+     * Uses the in-memory cache, then the persistent IndexedDB cache with a
+     * stale-while-revalidate policy, then the network.
+     * @param {string|Object} endpoint - Endpoint from CONFIG.api.endpoints
+     * @returns {Promise<Array>} Cleaned records
+     */
+    async loadData(endpoint) {
+        const source = this.resolveSource(endpoint);
+        const cacheKey = this.getCacheKey(source);
+        
+        // Check cache first
+        if (this.cache.has(cacheKey)) {
+            console.log(`[CSVHandler] Using cached data for: ${source.url}`);
+            return this.cache.get(cacheKey);
+        }
+        
+        // Check persistent cache
+        const entry = await cacheStore.get(cacheKey);
+        const age = entry ? Date.now() - entry.storedAt : Infinity;
+        
+        if (entry && age < CONFIG.cache.maxAge) {
+            console.log(`[CSVHandler] Using persisted data (v${entry.hash}) for: ${source.url}`);
+            this.cache.set(cacheKey, entry.data);
+            
+            if (age > CONFIG.cache.staleAfter) {
+                this.revalidate(cacheKey, source, entry);
+            }
+            
+            return entry.data;
+        }
+        
+        try {
+            const cleanedData = await this.fetchSource(source);
+            
+            // Cache the results
+            this.cache.set(cacheKey, cleanedData);
+            cacheStore.set(cacheKey, cleanedData, this.hashData(cleanedData));
+            
+            return cleanedData;
+        } catch (error) {
+            // Offline fallback: an expired copy beats no catalog at all
+            if (entry) {
+                console.warn(`[CSVHandler] Network failed, using expired cache for: ${source.url}`);
+                this.cache.set(cacheKey, entry.data);
+                return entry.data;
+            }
+            throw error;
+        }
+    }
+    
+    /**
+     * Fetch and clean records through the source's adapter
+     * @param {Object} source - Resolved source descriptor
+     * @returns {Promise<Array>} Cleaned records
+     */
+    async fetchSource(source) {
+        const adapter = this.adapters.get(source.type);
+        if (!adapter) {
+            throw new Error(`[CSVHandler] No adapter registered for source type: ${source.type}`);
+        }
+        
+        this.isLoading = true;
+        
+        try {
+            const { rows, errors } = await adapter.load(source);
+            
+            if (errors.length > 0) {
+                console.warn('[CSVHandler] Parse warnings:', errors);
+            }
+            
+            // Clean and validate data
+            const cleanedData = this.cleanData(rows);
+            
+            console.log(`[CSVHandler] Loaded ${cleanedData.length} records from: ${source.url}`);
+            return cleanedData;
+        } catch (error) {
+            console.error(`[CSVHandler] Error loading ${source.type} source:`, error);
+            throw error;
+        } finally {
+            this.isLoading = false;
+        }
+    }
+    
+    /**
+     * Refresh a persisted entry in the background
+     * Listeners are notified only when the content hash changed.
+     * @param {string} cacheKey - Cache key
+     * @param {Object} source - Resolved source descriptor
+     * @param {Object} entry - Current persisted entry
+     */
+    async revalidate(cacheKey, source, entry) {
+        try {
+            const freshData = await this.fetchSource(source);
+            const hash = this.hashData(freshData);
+            
+            if (hash === entry.hash) {
+                await cacheStore.touch(entry);
+                return;
+            }
+            
+            await cacheStore.set(cacheKey, freshData, hash);
+            this.cache.set(cacheKey, freshData);
+            
+            console.log(`[CSVHandler] Cache updated (v${entry.hash} → v${hash}) for: ${source.url}`);
+            this.queueUpdate({ key: cacheKey, url: source.url, data: freshData });
+        } catch (error) {
+            console.warn(`[CSVHandler] Revalidation failed for: ${source.url}`, error);
+        }
+    }
+    
+    /**
+     * Compute the content hash of a dataset
+     * @param {Array} data - Records
+     * @returns {string} Hash
+     */
+    hashData(data) {
+        return Utils.hashString(JSON.stringify(data));
     }
     
     /**
@@ -26,80 +207,238 @@ class CSVHandler {
      * @returns {Promise<Array>} Parsed data array
      */
     async loadCSV(filePath, options = {}) {
-        // Check cache first
-        if (this.cache.has(filePath)) {
-            console.log(`[CSVHandler] Using cached data for: ${filePath}`);
-            return this.cache.get(filePath);
+        return this.loadData({ type: 'csv', url: filePath, options });
+    }
+    
+    /**
+     * Remove empty rows from parsed data
+     * Source lines (_line) are set by the adapters from the raw input, and
+     * missing ids are left for validateData to reject.
+     * @param {Array} data - Raw parsed data
+     * @returns {Array} Cleaned data
+     */
+    cleanData(data) {
+        return data.filter(row => {
+            if (!row || typeof row !== 'object') return false;
+            
+            // Check if row has any non-empty values
+            const values = Object.entries(row)
+                .filter(([key]) => key !== '_line')
+                .map(([, value]) => value);
+            return values.some(v => v !== null && v !== undefined && v !== '');
+        });
+    }
+    
+    /**
+     * Validate rows against a data schema
+     * Rows with missing/invalid required values are rejected, invalid
+     * optional values are replaced with the schema default and reported.
+     * @param {Array} data - Cleaned rows
+     * @param {string} schemaName - Key in DATA_SCHEMAS ('shops' or 'products')
+     * @returns {Object} Valid rows and validation report
+     */
+    validateData(data, schemaName) {
+        const schema = DATA_SCHEMAS[schemaName];
+        const report = {
+            schema: schemaName,
+            total: data.length,
+            accepted: 0,
+            rejected: [],
+            coerced: [],
+            missingColumns: [],
+            unknownColumns: []
+        };
+        
+        if (!schema) {
+            console.warn(`[CSVHandler] No schema defined for: ${schemaName}`);
+            report.accepted = data.length;
+            return { valid: data, report };
         }
         
-        this.isLoading = true;
+        // Column checks
+        const columns = new Set();
+        data.forEach(row => Object.keys(row).forEach(key => columns.add(key)));
+        columns.delete('_line');
         
-        const defaultOptions = {
-            header: true,
-            skipEmptyLines: true,
-            dynamicTyping: false,
-            transformHeader: (header) => header.trim().toLowerCase().replace(/\s+/g, '_'),
-            transform: (value) => {
-                if (typeof value === 'string') {
-                    return value.trim();
-                }
-                return value;
+        Object.entries(schema.fields).forEach(([field, rule]) => {
+            if (rule.required && !columns.has(field)) {
+                report.missingColumns.push(field);
             }
-        };
+        });
+        columns.forEach(column => {
+            if (!schema.fields[column]) {
+                report.unknownColumns.push(column);
+            }
+        });
+        
+        const seen = {};
+        const valid = [];
         
-        const parseOptions = { ...defaultOptions, ...options };
-        
-        return new Promise((resolve, reject) => {
-            Papa.parse(filePath, {
-                download: true,
-                ...parseOptions,
-                complete: (results) => {
-                    this.isLoading = false;
-                    
-                    if (results.errors.length > 0) {
-                        console.warn('[CSVHandler] Parse warnings:', results.errors);
+        data.forEach((row, index) => {
+            const line = row._line || index + 1;
+            const id = row.id || null;
+            const errors = [];
+            const coercions = [];
+            const uniqueKeys = [];
+            const checked = { ...row };
+            
+            Object.entries(schema.fields).forEach(([field, rule]) => {
+                const value = row[field];
+                const isEmpty = value === undefined || value === null || String(value).trim() === '';
+                
+                if (isEmpty) {
+                    if (rule.required) {
+                        errors.push({ field, value: value ?? '', message: 'Thiếu giá trị bắt buộc' });
+                    }
+                    return;
+                }
+                
+                const result = this.validateField(value, rule);
+                
+                if (!result.valid) {
+                    if (rule.required) {
+                        errors.push({ field, value, message: result.message });
+                    } else {
+                        checked[field] = rule.default;
+                        coercions.push({ line, id, field, value, coercedTo: rule.default, message: result.message });
+                    }
+                    return;
+                }
+                
+                if (rule.unique) {
+                    seen[field] = seen[field] || new Map();
+                    const key = String(value).trim();
+                    if (seen[field].has(key)) {
+                        errors.push({ field, value, message: `Trùng với dòng ${seen[field].get(key)}` });
+                        return;
                     }
-                    
-                    // Clean and validate data
-                    const cleanedData = this.cleanData(results.data);
-                    
-                    // Cache the results
-                    this.cache.set(filePath, cleanedData);
-                    
-                    console.log(`[CSVHandler] Loaded ${cleanedData.length} records from: ${filePath}`);
-                    resolve(cleanedData);
-                },
-                error: (error) => {
-                    this.isLoading = false;
-                    console.error('[CSVHandler] Error loading CSV:', error);
-                    reject(error);
+                    uniqueKeys.push([field, key]);
                 }
             });
+            
+            if (errors.length > 0) {
+                report.rejected.push({ line, id, errors });
+                return;
+            }
+            
+            // Only accepted rows claim their unique values
+            uniqueKeys.forEach(([field, key]) => seen[field].set(key, line));
+            report.coerced.push(...coercions);
+            valid.push(checked);
         });
+        
+        report.accepted = valid.length;
+        
+        if (report.rejected.length > 0 || report.coerced.length > 0 || report.missingColumns.length > 0) {
+            console.warn(
+                `[CSVHandler] ${schemaName}: ${report.rejected.length} rows rejected, ` +
+                `${report.coerced.length} values coerced`,
+                report
+            );
+        }
+        
+        this.validationReports[schemaName] = report;
+        
+        return { valid, report };
     }
     
     /**
-     * Clean and validate parsed data
-     * @param {Array} data - Raw parsed data
-     * @returns {Array} Cleaned data
+     * Check for a "." thousands separator
+     * "99.000" reads as 99 thousand but parses as 99: callers refuse to guess.
+     * @param {string|number} value - Price value
+     * @returns {boolean} True for dotted thousands
      */
-    cleanData(data) {
-        return data
-            .filter(row => {
-                // Remove empty rows
-                if (!row || typeof row !== 'object') return false;
-                
-                // Check if row has any non-empty values
-                const values = Object.values(row);
-                return values.some(v => v !== null && v !== undefined && v !== '');
-            })
-            .map((row, index) => {
-                // Add unique ID if not present
-                if (!row.id) {
-                    row.id = `item_${index + 1}`;
+    hasDottedThousands(value) {
+        return /^-?\d{1,3}(\.\d{3})+$/.test(String(value).replace(/[,\s₫đ]/g, ''));
+    }
+    
+    /**
+     * Validate a single value against a field rule
+     * @param {*} value - Raw value
+     * @param {Object} rule - Field rule from DATA_SCHEMAS
+     * @returns {Object} { valid, message }
+     */
+    validateField(value, rule) {
+        const str = String(value).trim();
+        
+        switch (rule.type) {
+            case 'number': {
+                const digits = str.replace(/[,\s₫đ]/g, '');
+                if (this.hasDottedThousands(digits)) {
+                    return { valid: false, message: 'Không dùng dấu . phân cách hàng nghìn (ghi 99000 hoặc 99,000)' };
                 }
-                return row;
-            });
+                const num = Number(digits);
+                if (!Number.isFinite(num)) {
+                    return { valid: false, message: 'Không phải số hợp lệ' };
+                }
+                if (rule.min !== undefined && num < rule.min) {
+                    return { valid: false, message: `Nhỏ hơn giá trị tối thiểu ${rule.min}` };
+                }
+                if (rule.max !== undefined && num > rule.max) {
+                    return { valid: false, message: `Lớn hơn giá trị tối đa ${rule.max}` };
+                }
+                return { valid: true };
+            }
+            
+            case 'count':
+                return /^\d+([.,]\d+)?\s*[km]?$/i.test(str)
+                    ? { valid: true }
+                    : { valid: false, message: 'Không phải số lượng hợp lệ' };
+            
+            case 'boolean':
+                return ['true', 'false', '1', '0', 'yes', 'no'].includes(str.toLowerCase())
+                    ? { valid: true }
+                    : { valid: false, message: 'Không phải giá trị true/false' };
+            
+            case 'enum':
+                return rule.values.includes(str.toLowerCase())
+                    ? { valid: true }
+                    : { valid: false, message: `Chỉ chấp nhận: ${rule.values.join(', ')}` };
+            
+            case 'url': {
+                let url;
+                try {
+                    url = new URL(str);
+                } catch (e) {
+                    return { valid: false, message: 'URL không hợp lệ' };
+                }
+                if (!['http:', 'https:'].includes(url.protocol)) {
+                    return { valid: false, message: 'URL phải bắt đầu bằng http(s)://' };
+                }
+                if (rule.hosts && !rule.hosts.some(host => url.hostname === host || url.hostname.endsWith(`.${host}`))) {
+                    return { valid: false, message: `Tên miền phải là: ${rule.hosts.join(', ')}` };
+                }
+                return { valid: true };
+            }
+            
+            case 'schedule':
+                return this.isTimeOfDay(str) || !Number.isNaN(Date.parse(str))
+                    ? { valid: true }
+                    : { valid: false, message: 'Thời gian phải là HH:MM hoặc ngày giờ ISO' };
+            
+            case 'date':
+                return !Number.isNaN(Date.parse(str))
+                    ? { valid: true }
+                    : { valid: false, message: 'Ngày giờ không hợp lệ (YYYY-MM-DDTHH:MM)' };
+            
+            case 'variants':
+                return this.parseVariants(value) !== null
+                    ? { valid: true }
+                    : { valid: false, message: 'Phân loại không đúng định dạng tên:giá[:giá gốc[:còn hàng]], giá không dùng dấu . phân cách hàng nghìn' };
+            
+            case 'string':
+            default:
+                return { valid: true };
+        }
+    }
+    
+    /**
+     * Get the last validation report for a schema
+     * @param {string} schemaName - Schema name
+     * @returns {Object|null} Validation report or null
+     */
+    getValidationReport(schemaName) {
+        return this.validationReports[schemaName] || null;
     }
     
     /**
@@ -108,13 +447,16 @@ class CSVHandler {
      * @returns {Object} Processed shop data with categories
      */
     processShopData(data) {
+        const { valid, report } = this.validateData(data, 'shops');
+        
         const processed = {
             all: [],
             highEnd: [],    // n1
             budget: [],     // n2
             mixed: [],      // n3
             byCategory: {},
-            byTier: {}
+            byTier: {},
+            report: report
         };
         
         // Initialize category and tier maps
@@ -126,7 +468,7 @@ class CSVHandler {
             processed.byTier[key] = [];
         });
         
-        data.forEach(shop => {
+        valid.forEach(shop => {
             // Normalize shop data
             const normalizedShop = this.normalizeShopData(shop);
             
@@ -186,7 +528,8 @@ class CSVHandler {
             ratingCount: this.parseRatingCount(shop.rating_count),
             followers: this.parseFollowerCount(shop.followers),
             description: shop.description || '',
-            verified: shop.verified === 'true' || shop.verified === true
+            verified: shop.verified === 'true' || shop.verified === true,
+            productCount: 0
         };
     }
     
@@ -202,6 +545,23 @@ class CSVHandler {
         return isNaN(parsed) ? 5 : Math.min(Math.max(parsed, 0), 5);
     }
     
+    /**
+     * Parse product rating
+     * Unlike shops, a product without reviews has no rating (null)
+     * rather than a default of 5 stars.
+     * @param {string|number} rating - Rating value
+     * @param {number} ratingCount - Parsed rating count
+     * @returns {number|null} Parsed rating or null if not rated yet
+     */
+    parseProductRating(rating, ratingCount) {
+        if (rating === undefined || rating === null || rating === '') return null;
+        
+        const parsed = parseFloat(rating);
+        if (isNaN(parsed) || (parsed === 0 && ratingCount === 0)) return null;
+        
+        return this.parseRating(parsed);
+    }
+    
     /**
      * Parse rating count
      * @param {string|number} count - Count value
@@ -234,9 +594,12 @@ class CSVHandler {
     /**
      * Process product data
      * @param {Array} data - Raw product data
+     * @param {Object|Array} shops - Processed shop data (or shop array) to join with
      * @returns {Object} Processed product data with categories
      */
-    processProductData(data) {
+    processProductData(data, shops = null) {
+        const { valid, report } = this.validateData(data, 'products');
+        
         const processed = {
             all: [],
             highEnd: [],    // n1
@@ -244,7 +607,10 @@ class CSVHandler {
             mixed: [],      // n3
             byCategory: {},
             byTier: {},
-            bestSellers: []
+            bestSellers: [],
+            byShop: {},
+            report: report,
+            joinReport: null
         };
         
         // Initialize category and tier maps
@@ -256,7 +622,7 @@ class CSVHandler {
             processed.byTier[key] = [];
         });
         
-        data.forEach(product => {
+        valid.forEach(product => {
             // Normalize product data
             const normalizedProduct = this.normalizeProductData(product);
             
@@ -298,9 +664,278 @@ class CSVHandler {
         // Sort best sellers by sold count
         processed.bestSellers.sort((a, b) => b.soldCount - a.soldCount);
         
+        // Attach shops
+        if (shops) {
+            processed.joinReport = this.joinProductsWithShops(processed, shops);
+        }
+        
         return processed;
     }
     
+    /**
+     * Join products to their shops
+     * Products are matched by shop_id, falling back to an exact (accent-
+     * insensitive) shop name match. Each linked product gets the normalized
+     * shop object, each shop gets its productCount, and processed.byShop
+     * groups products per shop id.
+     * @param {Object} processed - Processed product data
+     * @param {Object|Array} shops - Processed shop data or shop array
+     * @returns {Object} Join report
+     */
+    joinProductsWithShops(processed, shops) {
+        const shopList = Array.isArray(shops) ? shops : shops.all;
+        const shopsById = new Map(shopList.map(shop => [shop.id, shop]));
+        const shopsByName = new Map(shopList.map(shop => [Utils.normalizeVietnamese(shop.name), shop]));
+        
+        const report = {
+            total: processed.all.length,
+            linked: 0,
+            linkedByName: [],
+            unresolved: []
+        };
+        
+        shopList.forEach(shop => {
+            shop.productCount = 0;
+        });
+        processed.byShop = {};
+        
+        processed.all.forEach(product => {
+            let shop = product.shopId ? shopsById.get(product.shopId) : null;
+            
+            if (!shop) {
+                shop = shopsByName.get(Utils.normalizeVietnamese(product.shopName)) || null;
+                
+                if (shop) {
+                    report.linkedByName.push({ id: product.id, line: product.line, shopName: product.shopName, shopId: shop.id });
+                }
+            }
+            
+            if (!shop) {
+                product.shop = null;
+                report.unresolved.push({ id: product.id, line: product.line, shopId: product.shopId, shopName: product.shopName });
+                return;
+            }
+            
+            product.shop = shop;
+            product.shopId = shop.id;
+            shop.productCount++;
+            
+            processed.byShop[shop.id] = processed.byShop[shop.id] || [];
+            processed.byShop[shop.id].push(product);
+            report.linked++;
+        });
+        
+        if (report.unresolved.length > 0) {
+            console.warn(`[CSVHandler] ${report.unresolved.length} products could not be linked to a shop`, report.unresolved);
+        }
+        
+        return report;
+    }
+    
+    /**
+     * Process flash sale data
+     * Groups campaign rows into slots. Rows whose product_id is not in the
+     * catalog are skipped and listed in the result.
+     * @param {Array} data - Raw flash sale rows
+     * @param {Object|Array} products - Processed product data or product array
+     * @returns {Object} { slots, unresolved, report }
+     */
+    processFlashSaleData(data, products) {
+        const { valid, report } = this.validateData(data, 'flashSales');
+        const productList = Array.isArray(products) ? products : products.all;
+        const productsById = new Map(productList.map(product => [product.id, product]));
+        const slotsById = new Map();
+        const unresolved = [];
+        
+        valid.forEach(row => {
+            const product = productsById.get(row.product_id);
+            if (!product) {
+                unresolved.push({ line: row._line, slotId: row.slot_id, productId: row.product_id });
+                return;
+            }
+            
+            if (!slotsById.has(row.slot_id)) {
+                slotsById.set(row.slot_id, this.normalizeFlashSaleSlot(row));
+            }
+            
+            const flashPrice = this.parsePrice(row.flash_price) || product.salePrice;
+            slotsById.get(row.slot_id).items.push({
+                product: product,
+                flashPrice: flashPrice,
+                discount: Utils.calculateDiscount(product.originalPrice, flashPrice),
+                stock: this.parseSoldCount(row.stock)
+            });
+        });
+        
+        if (unresolved.length > 0) {
+            console.warn(`[CSVHandler] ${unresolved.length} flash sale rows reference unknown products`, unresolved);
+        }
+        
+        return { slots: Array.from(slotsById.values()), unresolved, report };
+    }
+    
+    /**
+     * Normalize a flash sale slot
+     * "HH:MM" times make a slot that repeats daily (an end time at or before
+     * the start time ends on the next day); dates make a one-off slot.
+     * @param {Object} row - First row of the slot
+     * @returns {Object} Normalized slot
+     */
+    normalizeFlashSaleSlot(row) {
+        const recurring = this.isTimeOfDay(row.start_time) && this.isTimeOfDay(row.end_time);
+        
+        return {
+            id: row.slot_id,
+            name: row.slot_name || '',
+            recurring: recurring,
+            startTime: recurring ? row.start_time : new Date(row.start_time),
+            endTime: recurring ? row.end_time : new Date(row.end_time),
+            items: []
+        };
+    }
+    
+    /**
+     * Check for a daily "HH:MM" time
+     * @param {string} value - Value to check
+     * @returns {boolean} True for a time of day
+     */
+    isTimeOfDay(value) {
+        return /^([01]?\d|2[0-3]):[0-5]\d$/.test(String(value).trim());
+    }
+    
+    /**
+     * Process voucher data
+     * @param {Array} data - Raw voucher rows
+     * @param {Object|Array} shops - Processed shop data or shop array (optional)
+     * @returns {Object} { all, active, report } (active: not expired, soonest expiry first)
+     */
+    processVoucherData(data, shops = null) {
+        const { valid, report } = this.validateData(data, 'vouchers');
+        const shopList = !shops ? [] : (Array.isArray(shops) ? shops : shops.all);
+        const shopsById = new Map(shopList.map(shop => [shop.id, shop]));
+        
+        const all = valid.map(voucher => this.normalizeVoucherData(voucher, shopsById));
+        
+        return {
+            all: all,
+            active: this.getActiveVouchers(all),
+            report: report
+        };
+    }
+    
+    /**
+     * Normalize voucher data
+     * @param {Object} voucher - Raw voucher data
+     * @param {Map} shopsById - Shops keyed by id
+     * @returns {Object} Normalized voucher data
+     */
+    normalizeVoucherData(voucher, shopsById = new Map()) {
+        const category = (voucher.category || '').toLowerCase();
+        
+        return {
+            id: voucher.id,
+            code: voucher.code.toUpperCase(),
+            type: voucher.discount_type.toLowerCase(),
+            value: this.parsePrice(voucher.discount_value),
+            maxDiscount: this.parsePrice(voucher.max_discount),
+            minSpend: this.parsePrice(voucher.min_spend),
+            category: category,
+            shopId: voucher.shop_id || '',
+            shop: shopsById.get(voucher.shop_id) || null,
+            expiresAt: this.parseExpiry(voucher.expires_at),
+            description: voucher.description || ''
+        };
+    }
+    
+    /**
+     * Parse a voucher expiry
+     * "HH:MM" is a daily voucher ending today at that time; otherwise a date.
+     * @param {string} value - Raw expires_at value
+     * @param {Date} now - Reference time
+     * @returns {Date} Expiry date
+     */
+    parseExpiry(value, now = new Date()) {
+        if (!this.isTimeOfDay(value)) return new Date(value);
+        
+        const [hours, minutes] = String(value).trim().split(':').map(Number);
+        const expiresAt = new Date(now);
+        expiresAt.setHours(hours, minutes, 0, 0);
+        return expiresAt;
+    }
+    
+    /**
+     * Get vouchers that have not expired, soonest expiry first
+     * @param {Array} vouchers - Normalized vouchers
+     * @param {Date} now - Reference time
+     * @returns {Array} Active vouchers
+     */
+    getActiveVouchers(vouchers, now = new Date()) {
+        return vouchers
+            .filter(voucher => voucher.expiresAt > now)
+            .sort((a, b) => a.expiresAt - b.expiresAt);
+    }
+    
+    /**
+     * Process price history data
+     * @param {Array} data - Raw price history rows
+     * @returns {Object} { byProduct, report } with points sorted oldest first
+     */
+    processPriceHistory(data) {
+        const { valid, report } = this.validateData(data, 'priceHistory');
+        const byProduct = {};
+        
+        valid.forEach(row => {
+            const id = String(row.product_id).trim();
+            byProduct[id] = byProduct[id] || [];
+            byProduct[id].push({
+                date: new Date(row.date),
+                price: this.parsePrice(row.price)
+            });
+        });
+        
+        Object.values(byProduct).forEach(points => {
+            points.sort((a, b) => a.date - b.date);
+        });
+        
+        return { byProduct, report };
+    }
+    
+    /**
+     * Process synonym dictionary data
+     * @param {Array} data - Raw synonym rows
+     * @returns {Object} { groups, report } (groups: arrays of equivalent terms, lowercase)
+     */
+    processSynonymData(data) {
+        const { valid, report } = this.validateData(data, 'synonyms');
+        
+        const groups = valid
+            .map(row => [...new Set(String(row.terms).split('|')
+                .map(term => term.trim().toLowerCase())
+                .filter(Boolean))])
+            // A term alone has nothing to expand to
+            .filter(group => group.length > 1);
+        
+        return { groups, report };
+    }
+    
+    /**
+     * Find products similar to a product
+     * Same category and tier first, then the rest of the category, then the
+     * rest of the tier; best sellers first within each group.
+     * @param {Object} product - Normalized product
+     * @param {Array} products - Products to pick from
+     * @param {number} limit - Maximum products returned
+     * @returns {Array} Similar products
+     */
+    getSimilarProducts(product, products, limit = CONFIG.productDetail.similarLimit) {
+        const score = (other) => (other.category === product.category ? 2 : 0) + (other.tier === product.tier ? 1 : 0);
+        
+        return products
+            .filter(other => other.id !== product.id && score(other) > 0)
+            .sort((a, b) => score(b) - score(a) || b.soldCount - a.soldCount)
+            .slice(0, limit);
+    }
+    
     /**
      * Normalize product data
      * @param {Object} product - Raw product data
@@ -311,21 +946,102 @@ class CSVHandler {
         const salePrice = this.parsePrice(product.sale_price);
         const discount = Utils.calculateDiscount(originalPrice, salePrice);
         const soldCount = this.parseSoldCount(product.sold_count);
+        const ratingCount = this.parseRatingCount(product.rating_count);
+        const variants = this.parseVariants(product.variants) || [];
+        const pricing = this.getVariantPricing(variants, originalPrice, salePrice, discount);
         
         return {
             id: product.id || Utils.generateId(),
             name: product.product_name || 'Unknown Product',
             category: (product.category || '').toLowerCase().trim(),
-            originalPrice: originalPrice,
-            salePrice: salePrice,
-            discount: discount,
+            originalPrice: pricing.originalPrice,
+            salePrice: pricing.minPrice,
+            minPrice: pricing.minPrice,
+            maxPrice: pricing.maxPrice,
+            hasPriceRange: pricing.maxPrice > pricing.minPrice,
+            discount: pricing.discount,
+            variants: variants,
+            inStock: pricing.inStock,
             image: product.image_url || CONFIG.defaultImages.product,
             link: product.affiliate_link || '#',
             soldCount: soldCount,
             tier: (product.tier || 'n3').toLowerCase().trim(),
-            rating: Utils.generateRandomRating(),
+            rating: this.parseProductRating(product.rating, ratingCount),
+            ratingCount: ratingCount,
             description: product.description || '',
-            shopName: product.shop_name || 'Shopee'
+            shopName: product.shop_name || 'Shopee',
+            shopId: product.shop_id || null,
+            shop: null,
+            line: product._line || null
+        };
+    }
+    
+    /**
+     * Parse product variants
+     * Accepts an array of objects (JSON sources) or the CSV string format
+     * "name:sale_price[:original_price[:in_stock]]|..." (see DATA_SCHEMAS).
+     * @param {string|Array} value - Raw variants value
+     * @returns {Array|null} Variants, [] if none, null if malformed (prices with a "." thousands separator included)
+     */
+    parseVariants(value) {
+        if (value === undefined || value === null || value === '') return [];
+        
+        const entries = Array.isArray(value)
+            ? value
+            : String(value).split('|').filter(part => part.trim() !== '').map(part => {
+                const [name, sale, original, stock] = part.split(':').map(item => item.trim());
+                return { name, sale_price: sale, original_price: original, in_stock: stock };
+            });
+        
+        const variants = entries.map(entry => {
+            const rawSale = entry.sale_price ?? entry.salePrice;
+            const rawOriginal = entry.original_price ?? entry.originalPrice;
+            if ([rawSale, rawOriginal].some(price => price !== undefined && this.hasDottedThousands(price))) {
+                return null;
+            }
+            
+            const salePrice = this.parsePrice(rawSale);
+            const originalPrice = this.parsePrice(rawOriginal) || salePrice;
+            const stock = String(entry.in_stock ?? entry.inStock ?? '1').toLowerCase();
+            
+            return {
+                name: entry.name || '',
+                salePrice: salePrice,
+                originalPrice: originalPrice,
+                discount: Utils.calculateDiscount(originalPrice, salePrice),
+                inStock: !['0', 'false', 'no', 'het'].includes(stock)
+            };
+        });
+        
+        return variants.every(variant => variant && variant.name && variant.salePrice > 0) ? variants : null;
+    }
+    
+    /**
+     * Compute a product's price range from its variants
+     * Only in-stock variants count, unless every variant is sold out. The
+     * original price and discount are the cheapest variant's, so they match
+     * the "from" price shown with them.
+     * @param {Array} variants - Parsed variants
+     * @param {number} originalPrice - Product-level original price
+     * @param {number} salePrice - Product-level sale price
+     * @param {number} discount - Product-level discount
+     * @returns {Object} { minPrice, maxPrice, originalPrice, discount, inStock }
+     */
+    getVariantPricing(variants, originalPrice, salePrice, discount) {
+        if (variants.length === 0) {
+            return { minPrice: salePrice, maxPrice: salePrice, originalPrice, discount, inStock: true };
+        }
+        
+        const available = variants.filter(variant => variant.inStock);
+        const priced = available.length > 0 ? available : variants;
+        const cheapest = priced.reduce((min, variant) => (variant.salePrice < min.salePrice ? variant : min));
+        
+        return {
+            minPrice: cheapest.salePrice,
+            maxPrice: Math.max(...priced.map(variant => variant.salePrice)),
+            originalPrice: cheapest.originalPrice,
+            discount: cheapest.discount,
+            inStock: available.length > 0
         };
     }
     
@@ -380,7 +1096,10 @@ class CSVHandler {
      */
     filterByPriceRange(products, min = 0, max = Infinity) {
         return products.filter(product => {
-            return product.salePrice >= min && product.salePrice <= max;
+            // Match when the product's price range overlaps [min, max]
+            const low = product.minPrice ?? product.salePrice;
+            const high = product.maxPrice ?? product.salePrice;
+            return high >= min && low <= max;
         });
     }
     
@@ -404,6 +1123,7 @@ class CSVHandler {
      */
     filterByRating(products, minRating = 0) {
         return products.filter(product => {
+            if (product.rating === null) return minRating <= 0;
             return parseFloat(product.rating) >= minRating;
         });
     }
@@ -419,10 +1139,10 @@ class CSVHandler {
         
         switch (sortBy) {
             case 'price-asc':
-                return sorted.sort((a, b) => a.salePrice - b.salePrice);
+                return sorted.sort((a, b) => (a.minPrice ?? a.salePrice) - (b.minPrice ?? b.salePrice));
             
             case 'price-desc':
-                return sorted.sort((a, b) => b.salePrice - a.salePrice);
+                return sorted.sort((a, b) => (b.maxPrice ?? b.salePrice) - (a.maxPrice ?? a.salePrice));
             
             case 'discount-desc':
                 return sorted.sort((a, b) => b.discount - a.discount);
@@ -431,7 +1151,12 @@ class CSVHandler {
                 return sorted.sort((a, b) => b.soldCount - a.soldCount);
             
             case 'rating-desc':
-                return sorted.sort((a, b) => parseFloat(b.rating) - parseFloat(a.rating));
+                // Unrated products go last; ties broken by number of ratings
+                return sorted.sort((a, b) => {
+                    const ratingA = a.rating === null ? -1 : parseFloat(a.rating);
+                    const ratingB = b.rating === null ? -1 : parseFloat(b.rating);
+                    return (ratingB - ratingA) || ((b.ratingCount || 0) - (a.ratingCount || 0));
+                });
             
             case 'name-asc':
                 return sorted.sort((a, b) => a.name.localeCompare(b.name, 'vi'));
@@ -460,6 +1185,12 @@ class CSVHandler {
             case 'rating-asc':
                 return sorted.sort((a, b) => a.rating - b.rating);
             
+            case 'followers-desc':
+                return sorted.sort((a, b) => b.followers - a.followers);
+            
+            case 'rating-count-desc':
+                return sorted.sort((a, b) => b.ratingCount - a.ratingCount);
+            
             case 'name-asc':
                 return sorted.sort((a, b) => a.name.localeCompare(b.name, 'vi'));
             
@@ -521,7 +1252,8 @@ class CSVHandler {
             if (item.salePrice) {
                 totalPrice += item.salePrice;
                 minPrice = Math.min(minPrice, item.salePrice);
-                maxPrice = Math.max(maxPrice, item.salePrice);
+                // Products with variants reach up to their dearest variant
+                maxPrice = Math.max(maxPrice, item.maxPrice ?? item.salePrice);
             }
             
             if (item.discount) {
@@ -544,20 +1276,74 @@ class CSVHandler {
     }
     
     /**
-     * Clear all cached data
+     * Clear all cached data (in-memory and persistent)
+     * @returns {Promise<void>}
      */
-    clearCache() {
+    async clearCache() {
         this.cache.clear();
+        await cacheStore.clear();
         console.log('[CSVHandler] Cache cleared');
     }
     
+    /**
+     * Subscribe to background data updates
+     * Updates arriving close together are delivered as one batch.
+     * @param {Function} callback - Receives an array of { key, url, data }; may return a promise
+     * @returns {Function} Unsubscribe function
+     */
+    subscribe(callback) {
+        this.listeners.push(callback);
+        return () => {
+            this.listeners = this.listeners.filter(listener => listener !== callback);
+        };
+    }
+    
+    /**
+     * Queue a background update for listeners
+     * Datasets revalidating together (shops, products, ...) are delivered
+     * after CONFIG.cache.notifyDelay as one batch, and a batch waits until
+     * the listeners of the previous one are done.
+     * @param {Object} update - { key, url, data }
+     */
+    queueUpdate(update) {
+        this.pendingUpdates.set(update.key, update);
+        
+        clearTimeout(this.notifyTimer);
+        this.notifyTimer = setTimeout(() => {
+            this.notifying = this.notifying.then(() => {
+                const updates = [...this.pendingUpdates.values()];
+                this.pendingUpdates.clear();
+                
+                if (updates.length > 0) {
+                    return this.notifyListeners(updates);
+                }
+            });
+        }, CONFIG.cache.notifyDelay);
+    }
+    
+    /**
+     * Notify all listeners
+     * @param {Array} updates - Update details
+     * @returns {Promise<void>} Resolves when every listener is done
+     */
+    async notifyListeners(updates) {
+        await Promise.all(this.listeners.map(async listener => {
+            try {
+                await listener(updates);
+            } catch (error) {
+                console.error('Error in data listener:', error);
+            }
+        }));
+    }
+    
     /**
      * Get cached data
-     * @param {string} filePath - File path to get cache for
+     * @param {string|Object} filePath - File path or endpoint to get cache for
      * @returns {Array|null} Cached data or null
      */
     getCachedData(filePath) {
-        return this.cache.get(filePath) || null;
+        const source = this.resolveSource(filePath);
+        return this.cache.get(`${source.type}:${source.url}`) || null;
     }
 };
 
@@ -0,0 +1,367 @@
+/**
+ * ============================================
+ * DASHBOARD.JS - Shopee Affiliate Hub
+ * Internal catalog and click statistics page
+ * Version: 1.0.0
+ * ============================================
+ */
+
+'use strict';
+
+/**
+ * Dashboard Page App
+ * Catalog stats come from CSVHandler.getStatistics per category and tier;
+ * click stats come from the clicks recorded in this browser (the local
+ * collector log plus clicks still queued for sending).
+ */
+class DashboardApp {
+    constructor() {
+        this.productsData = null;
+        this.shopsData = null;
+        this.isInitialized = false;
+    }
+    
+    /**
+     * Initialize dashboard page
+     */
+    async init() {
+        console.log('[DashboardApp] Initializing...');
+        
+        try {
+            await this.loadData();
+            this.initializeSearch();
+            this.render();
+            
+            const clearBtn = document.getElementById('clearClickLog');
+            if (clearBtn) {
+                clearBtn.addEventListener('click', () => {
+                    clickTracker.clearLog();
+                    this.render();
+                    renderManager.showToast('Đã xóa dữ liệu click', 'info');
+                });
+            }
+            
+            csvHandler.subscribe((updates) => this.onDataUpdate(updates));
+            
+            this.isInitialized = true;
+            console.log('[DashboardApp] Initialized successfully');
+        } catch (error) {
+            console.error('[DashboardApp] Initialization error:', error);
+            this.showErrorMessage();
+        }
+    }
+    
+    /**
+     * Load catalog data
+     */
+    async loadData() {
+        console.log('[DashboardApp] Loading data...');
+        
+        const [shopsRaw, productsRaw] = await Promise.all([
+            csvHandler.loadData(CONFIG.api.endpoints.shops),
+            csvHandler.loadData(CONFIG.api.endpoints.products)
+        ]);
+        
+        this.shopsData = csvHandler.processShopData(shopsRaw);
+        this.productsData = csvHandler.processProductData(productsRaw, this.shopsData);
+    }
+    
+    /**
+     * Render every panel
+     */
+    render() {
+        const overall = csvHandler.getStatistics(this.productsData.all);
+        
+        this.renderOverview(overall);
+        this.renderGroups(
+            'categoryStats',
+            Object.entries(CONFIG.categories).map(([key, category]) => ({
+                key: key,
+                label: `${category.icon} ${category.name}`,
+                stats: csvHandler.getStatistics(this.productsData.byCategory[key] || [])
+            })),
+            overall,
+            true
+        );
+        this.renderGroups(
+            'tierStats',
+            Object.entries(CONFIG.tiers).map(([key, tier]) => ({
+                key: key,
+                label: tier.label,
+                stats: csvHandler.getStatistics(this.productsData.byTier[key] || [])
+            })),
+            overall,
+            false
+        );
+        this.renderClicks();
+    }
+    
+    /**
+     * Render catalog totals
+     * @param {Object} overall - Catalog statistics
+     */
+    renderOverview(overall) {
+        const container = document.getElementById('dashboardOverview');
+        if (!container) return;
+        
+        const cards = [
+            { label: 'Sản phẩm', value: Utils.formatNumber(overall.total) },
+            { label: 'Shop', value: Utils.formatNumber(this.shopsData.all.length) },
+            { label: 'Giá trung bình', value: Utils.formatCurrency(overall.avgPrice) },
+            { label: 'Giảm giá trung bình', value: `${overall.avgDiscount}%` },
+            { label: 'Tổng đã bán', value: Utils.formatSoldCount(overall.totalSold) },
+            { label: 'Click đã ghi nhận', value: Utils.formatNumber(this.getClicks().length) }
+        ];
+        
+        container.innerHTML = cards.map(card => `
+            <div class="bg-white rounded-xl shadow-sm p-4">
+                <div class="text-xs text-gray-500 mb-1">${card.label}</div>
+                <div class="text-xl font-bold text-gray-800">${card.value}</div>
+            </div>
+        `).join('');
+    }
+    
+    /**
+     * Render a stats table with product count and average price charts
+     * @param {string} prefix - Element id prefix ({prefix}Table, {prefix}CountChart, {prefix}PriceChart)
+     * @param {Array} groups - Groups ({ key, label, stats })
+     * @param {Object} overall - Catalog statistics, for flags
+     * @param {boolean} flagThin - Flag groups with few products
+     */
+    renderGroups(prefix, groups, overall, flagThin) {
+        const table = document.getElementById(`${prefix}Table`);
+        const countChart = document.getElementById(`${prefix}CountChart`);
+        const priceChart = document.getElementById(`${prefix}PriceChart`);
+        
+        if (table) {
+            table.innerHTML = groups.map(group => {
+                const stats = group.stats;
+                const flags = this.getFlags(stats, overall, flagThin);
+                
+                return `
+                    <tr class="border-t border-gray-100">
+                        <td class="py-2 pr-4 font-medium text-gray-800 whitespace-nowrap">${Utils.escapeHtml(group.label)}</td>
+                        <td class="py-2 pr-4 text-right">${stats.total}</td>
+                        <td class="py-2 pr-4 text-right">${Utils.formatCurrency(stats.avgPrice)}</td>
+                        <td class="py-2 pr-4 text-right whitespace-nowrap">${stats.total > 0 ? `${Utils.formatCurrency(stats.minPrice)} - ${Utils.formatCurrency(stats.maxPrice)}` : '—'}</td>
+                        <td class="py-2 pr-4 text-right">${stats.avgDiscount}%</td>
+                        <td class="py-2 pr-4 text-right">${Utils.formatSoldCount(stats.totalSold)}</td>
+                        <td class="py-2 space-x-1 whitespace-nowrap">
+                            ${flags.map(flag => `
+                                <span class="text-xs font-semibold px-2 py-0.5 rounded-full ${flag.className}">${flag.label}</span>
+                            `).join('')}
+                        </td>
+                    </tr>
+                `;
+            }).join('');
+        }
+        
+        this.renderBarChart(countChart, groups.map(group => ({
+            label: group.label,
+            value: group.stats.total,
+            display: group.stats.total
+        })));
+        
+        this.renderBarChart(priceChart, groups.map(group => ({
+            label: group.label,
+            value: group.stats.avgPrice,
+            display: Utils.formatCurrency(group.stats.avgPrice)
+        })), overall.avgPrice);
+    }
+    
+    /**
+     * Get the warning flags of a group
+     * @param {Object} stats - Group statistics
+     * @param {Object} overall - Catalog statistics
+     * @param {boolean} flagThin - Flag groups with few products
+     * @returns {Array} Flags ({ label, className })
+     */
+    getFlags(stats, overall, flagThin) {
+        const flags = [];
+        
+        if (stats.total === 0) {
+            flags.push({ label: 'Trống', className: 'bg-red-100 text-red-700' });
+        } else if (flagThin && stats.total < CONFIG.dashboard.thinCategory) {
+            flags.push({ label: 'Ít sản phẩm', className: 'bg-yellow-100 text-yellow-800' });
+        }
+        
+        if (stats.total > 0 && stats.avgPrice > overall.avgPrice * CONFIG.dashboard.overpricedRatio) {
+            flags.push({ label: 'Giá cao', className: 'bg-orange-100 text-orange-700' });
+        }
+        
+        return flags;
+    }
+    
+    /**
+     * Render a horizontal bar chart
+     * @param {HTMLElement} container - Container element
+     * @param {Array} rows - Rows ({ label, value, display })
+     * @param {number} reference - Optional value marked with a line (e.g. catalog average)
+     */
+    renderBarChart(container, rows, reference = null) {
+        if (!container) return;
+        
+        const max = Math.max(...rows.map(row => row.value), reference || 0, 1);
+        
+        container.innerHTML = `
+            <div class="space-y-2">
+                ${rows.map(row => `
+                    <div class="flex items-center text-xs">
+                        <span class="w-32 flex-shrink-0 truncate text-gray-600" title="${Utils.escapeHtml(row.label)}">${Utils.escapeHtml(row.label)}</span>
+                        <div class="relative flex-1 h-4 bg-gray-100 rounded">
+                            <div class="h-4 bg-shopee-500 rounded" style="width: ${(row.value / max) * 100}%"></div>
+                            ${reference ? `
+                                <div class="absolute top-0 bottom-0 border-l-2 border-dashed border-gray-500" style="left: ${(reference / max) * 100}%"></div>
+                            ` : ''}
+                        </div>
+                        <span class="w-24 flex-shrink-0 text-right text-gray-700 font-medium">${row.display}</span>
+                    </div>
+                `).join('')}
+            </div>
+            ${reference ? `<p class="mt-2 text-xs text-gray-400">Vạch đứt: trung bình toàn catalog (${Utils.formatCurrency(reference)})</p>` : ''}
+        `;
+    }
+    
+    /**
+     * Get clicks recorded in this browser
+     * @returns {Array} Click events (collected and still queued)
+     */
+    getClicks() {
+        return clickTracker.getLog().concat(clickTracker.queue);
+    }
+    
+    /**
+     * Render top-clicked products and clicks per section
+     */
+    renderClicks() {
+        const table = document.getElementById('topClickedTable');
+        const sectionChart = document.getElementById('clickSectionChart');
+        const clicks = this.getClicks();
+        const productClicks = clicks.filter(click => click.type === 'product');
+        
+        // Count per product, split into detail page visits and outbound clicks
+        const counts = new Map();
+        productClicks.forEach(click => {
+            const entry = counts.get(click.id) || { id: click.id, total: 0, outbound: 0 };
+            entry.total++;
+            if (click.target === 'outbound') entry.outbound++;
+            counts.set(click.id, entry);
+        });
+        
+        const productsById = new Map(this.productsData.all.map(product => [product.id, product]));
+        const top = [...counts.values()]
+            .sort((a, b) => b.total - a.total || b.outbound - a.outbound)
+            .slice(0, CONFIG.dashboard.topClicked);
+        
+        if (table) {
+            table.innerHTML = top.length > 0 ? top.map((entry, index) => {
+                const product = productsById.get(entry.id);
+                return `
+                    <tr class="border-t border-gray-100">
+                        <td class="py-2 pr-4 text-gray-500">${index + 1}</td>
+                        <td class="py-2 pr-4">
+                            ${product
+                                ? `<a href="product.html?id=${encodeURIComponent(product.id)}" class="text-gray-800 hover:text-shopee-500">${Utils.escapeHtml(product.name)}</a>`
+                                : `<span class="text-gray-400">${Utils.escapeHtml(entry.id)} (không còn trong catalog)</span>`}
+                        </td>
+                        <td class="py-2 pr-4 text-right font-semibold">${entry.total}</td>
+                        <td class="py-2 text-right text-shopee-500">${entry.outbound}</td>
+                    </tr>
+                `;
+            }).join('') : `
+                <tr>
+                    <td colspan="4" class="py-6 text-center text-gray-500">Chưa có click nào được ghi nhận trên trình duyệt này</td>
+                </tr>
+            `;
+        }
+        
+        if (sectionChart && clicks.length === 0) {
+            sectionChart.innerHTML = '<p class="text-sm text-gray-500">Chưa có dữ liệu</p>';
+            return;
+        }
+        
+        const bySection = {};
+        clicks.forEach(click => {
+            bySection[click.section] = (bySection[click.section] || 0) + 1;
+        });
+        
+        this.renderBarChart(sectionChart, Object.entries(bySection)
+            .sort(([, a], [, b]) => b - a)
+            .map(([section, count]) => ({ label: section, value: count, display: count })));
+    }
+    
+    /**
+     * Re-render with catalog data revalidated in the background
+     * @param {Array} updates - Batch from csvHandler.subscribe
+     */
+    async onDataUpdate(updates) {
+        const updated = csvHandler.getUpdatedEndpoints(updates);
+        if (!updated.has('shops') && !updated.has('products')) return;
+        
+        try {
+            if (updated.has('shops')) {
+                this.shopsData = csvHandler.processShopData(await csvHandler.loadData(CONFIG.api.endpoints.shops));
+            }
+            
+            // Products join shops, so either change re-processes them
+            this.productsData = csvHandler.processProductData(
+                await csvHandler.loadData(CONFIG.api.endpoints.products),
+                this.shopsData
+            );
+        } catch (error) {
+            console.error('[DashboardApp] Error refreshing data:', error);
+            return;
+        }
+        
+        this.render();
+        searchAutocomplete.setData({
+            products: this.productsData.all,
+            shops: this.shopsData.all
+        }).catch(error => {
+            console.error('[DashboardApp] Search suggestions unavailable:', error);
+        });
+    }
+    
+    /**
+     * Attach search suggestions to the header search inputs
+     * Submitting opens the products page with the query.
+     */
+    initializeSearch() {
+        searchAutocomplete.setData({
+            products: this.productsData.all,
+            shops: this.shopsData.all
+        }).catch(error => {
+            console.error('[DashboardApp] Search suggestions unavailable:', error);
+        });
+        
+        searchAutocomplete.attach(document.getElementById('productSearchInput'));
+        searchAutocomplete.attach(document.getElementById('mobileProductSearch'));
+    }
+    
+    /**
+     * Show error message
+     */
+    showErrorMessage() {
+        const container = document.getElementById('dashboardOverview');
+        if (container) {
+            container.innerHTML = `
+                <div class="col-span-full text-center py-12">
+                    <div class="text-6xl mb-4">⚠️</div>
+                    <h3 class="text-lg font-semibold text-gray-700 mb-2">Có lỗi xảy ra</h3>
+                    <p class="text-gray-500">Không thể tải dữ liệu. Vui lòng tải lại trang.</p>
+                </div>
+            `;
+        }
+    }
+}
+
+// Initialize when DOM is ready
+document.addEventListener('DOMContentLoaded', async () => {
+    const app = new DashboardApp();
+    await app.init();
+});
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DashboardApp;
+}
\ No newline at end of file
@@ -0,0 +1,255 @@
+/**
+ * ============================================
+ * DATA-SOURCES.JS - Shopee Affiliate Hub
+ * Data source adapters (CSV, JSON, JSONL, REST)
+ * Version: 1.0.0
+ * ============================================
+ */
+
+'use strict';
+
+/**
+ * Base Data Source Adapter
+ * Adapters fetch a source and return raw records keyed like CSV headers
+ * (snake_case), so every source feeds the same processing pipeline.
+ */
+class DataSourceAdapter {
+    /**
+     * Load raw records from a source
+     * @param {Object} source - Resolved source ({ type, url, ... })
+     * @returns {Promise<Object>} { rows, errors }
+     */
+    async load(source) {
+        throw new Error(`[DataSource] load() not implemented for: ${source.type}`);
+    }
+    
+    /**
+     * Normalize a record to the CSV row shape
+     * @param {Object} record - Raw record
+     * @param {number} line - Source line/record number
+     * @returns {Object} Normalized record
+     */
+    normalizeRecord(record, line) {
+        const row = {};
+        
+        Object.entries(record).forEach(([key, value]) => {
+            const header = this.normalizeHeader(key);
+            if (value === null || value === undefined) {
+                row[header] = '';
+            } else if (typeof value === 'object') {
+                row[header] = value;
+            } else {
+                row[header] = String(value).trim();
+            }
+        });
+        
+        row._line = line;
+        return row;
+    }
+    
+    /**
+     * Normalize a header/key name (same rule as CSV headers)
+     * @param {string} header - Header name
+     * @returns {string} Normalized header
+     */
+    normalizeHeader(header) {
+        return header
+            .trim()
+            .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+            .toLowerCase()
+            .replace(/\s+/g, '_');
+    }
+    
+    /**
+     * Fetch a URL as text
+     * @param {string} url - URL to fetch
+     * @param {Object} options - Fetch options
+     * @returns {Promise<string>} Response body
+     */
+    async fetchText(url, options = {}) {
+        const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+        const timer = controller ? setTimeout(() => controller.abort(), CONFIG.api.timeout) : null;
+        
+        try {
+            const response = await fetch(url, {
+                ...options,
+                signal: controller ? controller.signal : undefined
+            });
+            
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status} ${response.statusText} (${url})`);
+            }
+            
+            return await response.text();
+        } finally {
+            if (timer) clearTimeout(timer);
+        }
+    }
+    
+    /**
+     * Pick the records array out of a parsed JSON payload
+     * @param {*} payload - Parsed JSON
+     * @param {string} dataPath - Dot path to the array (e.g. 'data.items')
+     * @returns {Array} Records
+     */
+    extractRecords(payload, dataPath = '') {
+        let data = payload;
+        
+        if (dataPath) {
+            data = dataPath.split('.').reduce((obj, key) => (obj ? obj[key] : undefined), payload);
+        }
+        
+        if (!Array.isArray(data)) {
+            throw new Error(`[DataSource] Expected an array of records${dataPath ? ` at "${dataPath}"` : ''}`);
+        }
+        
+        return data;
+    }
+}
+
+/**
+ * CSV Adapter (PapaParse)
+ * Rows carry the file line they start on, counted past skipped blank
+ * lines and quoted values that span several lines.
+ */
+class CSVSourceAdapter extends DataSourceAdapter {
+    async load(source) {
+        const text = await this.fetchText(source.url, source.fetchOptions);
+        const parseOptions = {
+            header: true,
+            skipEmptyLines: true,
+            dynamicTyping: false,
+            transformHeader: (header) => header.trim().toLowerCase().replace(/\s+/g, '_'),
+            transform: (value) => {
+                if (typeof value === 'string') {
+                    return value.trim();
+                }
+                return value;
+            },
+            ...source.options
+        };
+        
+        const rows = [];
+        const errors = [];
+        
+        // Start counting after the header row
+        let offset = parseOptions.header
+            ? Papa.parse(text, { ...parseOptions, header: false, preview: 1 }).meta.cursor
+            : 0;
+        let line = this.countLineBreaks(text.slice(0, offset)) + 1;
+        
+        Papa.parse(text, {
+            ...parseOptions,
+            step: (results) => {
+                const segment = text.slice(offset, results.meta.cursor);
+                const skipped = segment.match(/^(\r\n|\r|\n)*/)[0];
+                
+                line += this.countLineBreaks(skipped);
+                if (results.data && typeof results.data === 'object') {
+                    results.data._line = line;
+                }
+                line += this.countLineBreaks(segment.slice(skipped.length));
+                offset = results.meta.cursor;
+                
+                rows.push(results.data);
+                errors.push(...results.errors);
+            }
+        });
+        
+        return { rows, errors };
+    }
+    
+    /**
+     * Count the line breaks in a piece of text
+     * @param {string} text - Text
+     * @returns {number} Line breaks (\r\n counts once)
+     */
+    countLineBreaks(text) {
+        return (text.match(/\r\n|\r|\n/g) || []).length;
+    }
+}
+
+/**
+ * JSON Adapter
+ * Accepts an array of records or an object holding one (see dataPath)
+ */
+class JSONSourceAdapter extends DataSourceAdapter {
+    async load(source) {
+        const text = await this.fetchText(source.url, source.fetchOptions);
+        const records = this.extractRecords(JSON.parse(text), source.dataPath);
+        
+        return {
+            rows: records.map((record, index) => this.normalizeRecord(record, index + 1)),
+            errors: []
+        };
+    }
+}
+
+/**
+ * JSON Lines Adapter
+ * One JSON record per line; malformed lines are reported and skipped
+ */
+class JSONLSourceAdapter extends DataSourceAdapter {
+    async load(source) {
+        const text = await this.fetchText(source.url, source.fetchOptions);
+        const rows = [];
+        const errors = [];
+        
+        text.split(/\r?\n/).forEach((line, index) => {
+            if (!line.trim()) return;
+            
+            try {
+                rows.push(this.normalizeRecord(JSON.parse(line), index + 1));
+            } catch (error) {
+                errors.push({ row: index + 1, message: error.message });
+            }
+        });
+        
+        return { rows, errors };
+    }
+}
+
+/**
+ * REST Adapter
+ * GETs a JSON endpoint (relative URLs are resolved against CONFIG.api.baseUrl)
+ */
+class RESTSourceAdapter extends DataSourceAdapter {
+    async load(source) {
+        const isAbsolute = /^https?:\/\//i.test(source.url);
+        const url = isAbsolute ? source.url : CONFIG.api.baseUrl + source.url;
+        
+        const text = await this.fetchText(url, {
+            method: 'GET',
+            headers: { 'Accept': 'application/json', ...source.headers },
+            ...source.fetchOptions
+        });
+        const records = this.extractRecords(JSON.parse(text), source.dataPath);
+        
+        return {
+            rows: records.map((record, index) => this.normalizeRecord(record, index + 1)),
+            errors: []
+        };
+    }
+}
+
+/**
+ * Built-in adapters by source type
+ */
+const DATA_SOURCE_ADAPTERS = {
+    csv: CSVSourceAdapter,
+    json: JSONSourceAdapter,
+    jsonl: JSONLSourceAdapter,
+    rest: RESTSourceAdapter
+};
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        DataSourceAdapter,
+        CSVSourceAdapter,
+        JSONSourceAdapter,
+        JSONLSourceAdapter,
+        RESTSourceAdapter,
+        DATA_SOURCE_ADAPTERS
+    };
+}
\ No newline at end of file
@@ -0,0 +1,201 @@
+/**
+ * ============================================
+ * FAVORITES-STORE.JS - Shopee Affiliate Hub
+ * Favorite products and shops (wishlist)
+ * Version: 1.0.0
+ * ============================================
+ */
+
+'use strict';
+
+/**
+ * Favorites Store Class
+ * Persists favorites under CONFIG.storage.keys.favorites as
+ * { products: { id: { savedAt, savedPrice } }, shops: { id: { savedAt } } }.
+ * The price at save time lets pages flag products that got cheaper.
+ */
+class FavoritesStore {
+    constructor() {
+        this.favorites = this.load();
+        this.listeners = [];
+        
+        // Keep tabs in sync
+        window.addEventListener('storage', (e) => {
+            if (e.key === CONFIG.storage.prefix + CONFIG.storage.keys.favorites) {
+                this.favorites = this.load();
+                this.notifyListeners();
+            }
+        });
+    }
+    
+    /**
+     * Load favorites from storage
+     * @returns {Object} Favorites
+     */
+    load() {
+        const stored = Utils.getStorage(CONFIG.storage.keys.favorites) || {};
+        return {
+            products: stored.products || {},
+            shops: stored.shops || {}
+        };
+    }
+    
+    /**
+     * Save favorites to storage
+     */
+    save() {
+        Utils.setStorage(CONFIG.storage.keys.favorites, this.favorites);
+    }
+    
+    /**
+     * Check if an item is a favorite
+     * @param {string} type - 'products' or 'shops'
+     * @param {string} id - Item id
+     * @returns {boolean} Whether the item is saved
+     */
+    isFavorite(type, id) {
+        return Boolean(this.favorites[type] && this.favorites[type][id]);
+    }
+    
+    /**
+     * Save an item
+     * @param {string} type - 'products' or 'shops'
+     * @param {Object} item - Catalog product or shop (not a repriced display copy)
+     */
+    add(type, item) {
+        const entry = { savedAt: Date.now() };
+        if (type === 'products') {
+            entry.savedPrice = item.salePrice;
+        }
+        
+        this.favorites[type][item.id] = entry;
+        this.save();
+        this.notifyListeners();
+    }
+    
+    /**
+     * Remove an item
+     * @param {string} type - 'products' or 'shops'
+     * @param {string} id - Item id
+     */
+    remove(type, id) {
+        delete this.favorites[type][id];
+        this.save();
+        this.notifyListeners();
+    }
+    
+    /**
+     * Toggle an item
+     * @param {string} type - 'products' or 'shops'
+     * @param {Object} item - Normalized product or shop
+     * @returns {boolean} Whether the item is now saved
+     */
+    toggle(type, item) {
+        if (this.isFavorite(type, item.id)) {
+            this.remove(type, item.id);
+            return false;
+        }
+        
+        this.add(type, item);
+        return true;
+    }
+    
+    /**
+     * Get saved ids, most recently saved first
+     * @param {string} type - 'products' or 'shops'
+     * @returns {Array} Item ids
+     */
+    getIds(type) {
+        return Object.entries(this.favorites[type])
+            .sort(([, a], [, b]) => b.savedAt - a.savedAt)
+            .map(([id]) => id);
+    }
+    
+    /**
+     * Pick the saved items out of a list, most recently saved first
+     * @param {string} type - 'products' or 'shops'
+     * @param {Array} items - Normalized products or shops
+     * @returns {Array} Saved items
+     */
+    getItems(type, items) {
+        const byId = new Map(items.map(item => [item.id, item]));
+        return this.getIds(type).map(id => byId.get(id)).filter(Boolean);
+    }
+    
+    /**
+     * Get the total number of favorites
+     * @returns {number} Count
+     */
+    getCount() {
+        return Object.keys(this.favorites.products).length + Object.keys(this.favorites.shops).length;
+    }
+    
+    /**
+     * Compare a saved product with its current price
+     * @param {Object} product - Normalized product
+     * @returns {Object|null} { from, to, amount, percent } if cheaper than when saved
+     */
+    getPriceDrop(product) {
+        const entry = this.favorites.products[product.id];
+        if (!entry || !entry.savedPrice || product.salePrice >= entry.savedPrice) {
+            return null;
+        }
+        
+        return {
+            from: entry.savedPrice,
+            to: product.salePrice,
+            amount: entry.savedPrice - product.salePrice,
+            percent: Utils.calculateDiscount(entry.savedPrice, product.salePrice)
+        };
+    }
+    
+    /**
+     * Update every [data-favorites-count] badge
+     */
+    renderCount() {
+        const count = this.getCount();
+        
+        document.querySelectorAll('[data-favorites-count]').forEach(badge => {
+            badge.textContent = count > 99 ? '99+' : count;
+            badge.classList.toggle('hidden', count === 0);
+        });
+    }
+    
+    /**
+     * Subscribe to changes
+     * @param {Function} callback - Callback function
+     * @returns {Function} Unsubscribe function
+     */
+    subscribe(callback) {
+        this.listeners.push(callback);
+        return () => {
+            this.listeners = this.listeners.filter(cb => cb !== callback);
+        };
+    }
+    
+    /**
+     * Notify all listeners
+     */
+    notifyListeners() {
+        this.renderCount();
+        
+        this.listeners.forEach(callback => {
+            try {
+                callback(this.favorites);
+            } catch (error) {
+                console.error('[FavoritesStore] Listener error:', error);
+            }
+        });
+    }
+}
+
+// Create global instance
+const favoritesStore = new FavoritesStore();
+
+// Show the header count on every page
+document.addEventListener('DOMContentLoaded', () => favoritesStore.renderCount());
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FavoritesStore;
+}
\ No newline at end of file
@@ -0,0 +1,201 @@
+/**
+ * ============================================
+ * FAVORITES.JS - Shopee Affiliate Hub
+ * Favorites page logic
+ * Version: 1.0.0
+ * ============================================
+ */
+
+'use strict';
+
+/**
+ * Favorites Page App
+ */
+class FavoritesApp {
+    constructor() {
+        this.productsData = null;
+        this.shopsData = null;
+        this.isInitialized = false;
+    }
+    
+    /**
+     * Initialize favorites page
+     */
+    async init() {
+        console.log('[FavoritesApp] Initializing...');
+        
+        try {
+            await this.loadData();
+            this.initializeSearch();
+            this.render();
+            
+            // Re-render when favorites change (here or in another tab)
+            favoritesStore.subscribe(() => this.render());
+            csvHandler.subscribe((updates) => this.onDataUpdate(updates));
+            
+            this.isInitialized = true;
+            console.log('[FavoritesApp] Initialized successfully');
+        } catch (error) {
+            console.error('[FavoritesApp] Initialization error:', error);
+            this.showErrorMessage();
+        }
+    }
+    
+    /**
+     * Load catalog data
+     */
+    async loadData() {
+        console.log('[FavoritesApp] Loading data...');
+        
+        const [shopsRaw, productsRaw] = await Promise.all([
+            csvHandler.loadData(CONFIG.api.endpoints.shops),
+            csvHandler.loadData(CONFIG.api.endpoints.products)
+        ]);
+        
+        this.shopsData = csvHandler.processShopData(shopsRaw);
+        this.productsData = csvHandler.processProductData(productsRaw, this.shopsData);
+    }
+    
+    /**
+     * Render saved products and shops
+     */
+    render() {
+        this.renderProducts();
+        this.renderShops();
+    }
+    
+    /**
+     * Render saved products, price drops first
+     */
+    renderProducts() {
+        const container = document.getElementById('favoriteProductsGrid');
+        const stats = document.getElementById('favoriteProductsStats');
+        if (!container) return;
+        
+        const products = favoritesStore.getItems('products', this.productsData.all);
+        const dropped = products.filter(product => favoritesStore.getPriceDrop(product));
+        const sorted = [...dropped, ...products.filter(product => !dropped.includes(product))];
+        
+        if (stats) {
+            stats.innerHTML = products.length > 0 ? `
+                ${products.length} sản phẩm
+                ${dropped.length > 0 ? `· <span class="text-green-600 font-semibold">📉 ${dropped.length} đã giảm giá</span>` : ''}
+            ` : '';
+        }
+        
+        if (sorted.length === 0) {
+            container.innerHTML = this.renderEmptyState('🛍️', 'Chưa có sản phẩm yêu thích', 'Bấm ♡ trên sản phẩm để lưu lại', 'products.html', 'Khám phá sản phẩm');
+            return;
+        }
+        
+        renderManager.renderProductsGrid(sorted, container, sorted.length);
+    }
+    
+    /**
+     * Render saved shops
+     */
+    renderShops() {
+        const container = document.getElementById('favoriteShopsGrid');
+        if (!container) return;
+        
+        const shops = favoritesStore.getItems('shops', this.shopsData.all);
+        
+        if (shops.length === 0) {
+            container.innerHTML = this.renderEmptyState('🏪', 'Chưa có shop yêu thích', 'Bấm ♡ trên shop để lưu lại', 'shops.html', 'Xem shop uy tín');
+            return;
+        }
+        
+        renderManager.renderShopsGrid(shops, container, shops.length);
+    }
+    
+    /**
+     * Empty state markup
+     */
+    renderEmptyState(icon, title, message, href, cta) {
+        return `
+            <div class="col-span-full text-center py-12">
+                <div class="text-6xl mb-4">${icon}</div>
+                <h3 class="text-lg font-semibold text-gray-700 mb-2">${title}</h3>
+                <p class="text-gray-500 mb-4">${message}</p>
+                <a href="${href}" class="inline-block px-6 py-2 bg-shopee-500 text-white font-semibold rounded-lg hover:bg-shopee-600 transition-colors">
+                    ${cta}
+                </a>
+            </div>
+        `;
+    }
+    
+    /**
+     * Re-render with catalog data revalidated in the background
+     * @param {Array} updates - Batch from csvHandler.subscribe
+     */
+    async onDataUpdate(updates) {
+        const updated = csvHandler.getUpdatedEndpoints(updates);
+        if (!updated.has('shops') && !updated.has('products')) return;
+        
+        try {
+            if (updated.has('shops')) {
+                this.shopsData = csvHandler.processShopData(await csvHandler.loadData(CONFIG.api.endpoints.shops));
+            }
+            
+            // Products join shops, so either change re-processes them
+            this.productsData = csvHandler.processProductData(
+                await csvHandler.loadData(CONFIG.api.endpoints.products),
+                this.shopsData
+            );
+        } catch (error) {
+            console.error('[FavoritesApp] Error refreshing data:', error);
+            return;
+        }
+        
+        this.render();
+        searchAutocomplete.setData({
+            products: this.productsData.all,
+            shops: this.shopsData.all
+        }).catch(error => {
+            console.error('[FavoritesApp] Search suggestions unavailable:', error);
+        });
+    }
+    
+    /**
+     * Attach search suggestions to the header search inputs
+     * Submitting opens the products page with the query.
+     */
+    initializeSearch() {
+        searchAutocomplete.setData({
+            products: this.productsData.all,
+            shops: this.shopsData.all
+        }).catch(error => {
+            console.error('[FavoritesApp] Search suggestions unavailable:', error);
+        });
+        
+        searchAutocomplete.attach(document.getElementById('productSearchInput'));
+        searchAutocomplete.attach(document.getElementById('mobileProductSearch'));
+    }
+    
+    /**
+     * Show error message
+     */
+    showErrorMessage() {
+        const container = document.getElementById('favoriteProductsGrid');
+        if (container) {
+            container.innerHTML = `
+                <div class="col-span-full text-center py-12">
+                    <div class="text-6xl mb-4">⚠️</div>
+                    <h3 class="text-lg font-semibold text-gray-700 mb-2">Có lỗi xảy ra</h3>
+                    <p class="text-gray-500">Không thể tải dữ liệu. Vui lòng tải lại trang.</p>
+                </div>
+            `;
+        }
+    }
+}
+
+// Initialize when DOM is ready
+document.addEventListener('DOMContentLoaded', async () => {
+    const app = new FavoritesApp();
+    await app.init();
+});
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FavoritesApp;
+}
\ No newline at end of file
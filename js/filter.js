@@ -10,35 +10,52 @@
 
 /**
  * Filter Manager Class
+ * Category and tier are multi-value facets: an item matches when it has
+ * any of the selected values (OR), and must match every facet (AND).
+ * An empty facet means no restriction.
  */
 class FilterManager {
     constructor() {
         this.activeFilters = {
-            category: 'all',
-            tier: 'all',
+            category: [],
+            tier: [],
             minPrice: 0,
             maxPrice: Infinity,
             minDiscount: 0,
             minRating: 0,
+            // Shop filters (only items that have the field are filtered)
+            verified: false,
+            shopType: 'all',
+            minFollowers: 0,
+            minRatingCount: 0,
             searchQuery: ''
         };
         this.listeners = [];
         this.filteredData = [];
         this.originalData = [];
+        // Search scores of the current query (null = no text search)
+        this.searchScores = null;
     }
     
     /**
      * Initialize filters from URL params
+     * @param {Object} defaults - Filter values used when the URL has none
      */
-    initFromURL() {
+    initFromURL(defaults = {}) {
         const params = Utils.getQueryParams();
         
+        // Defaults (e.g. user settings) apply unless the URL says otherwise
+        Object.assign(this.activeFilters, defaults);
+        this.activeFilters.category = this.toFacetValues(this.activeFilters.category);
+        this.activeFilters.tier = this.toFacetValues(this.activeFilters.tier);
+        
+        // Multiple values are comma-separated (?category=thoi-trang,my-pham)
         if (params.category) {
-            this.activeFilters.category = params.category;
+            this.activeFilters.category = this.toFacetValues(params.category);
         }
         
         if (params.tier) {
-            this.activeFilters.tier = params.tier;
+            this.activeFilters.tier = this.toFacetValues(params.tier);
         }
         
         if (params.minPrice) {
@@ -53,31 +70,95 @@ class FilterManager {
             this.activeFilters.minDiscount = parseInt(params.minDiscount, 10);
         }
         
+        if (params.verified) {
+            this.activeFilters.verified = params.verified === '1';
+        }
+        
+        if (params.shopType) {
+            this.activeFilters.shopType = params.shopType;
+        }
+        
+        if (params.minFollowers) {
+            this.activeFilters.minFollowers = parseInt(params.minFollowers, 10);
+        }
+        
+        if (params.minRatingCount) {
+            this.activeFilters.minRatingCount = parseInt(params.minRatingCount, 10);
+        }
+        
         if (params.search) {
-            this.activeFilters.searchQuery = decodeURIComponent(params.search);
+            this.activeFilters.searchQuery = params.search;
         }
     }
     
     /**
-     * Set category filter
-     * @param {string} category - Category to filter by
+     * Normalize a facet value to a list of selected values
+     * @param {string|Array} value - Value, comma-separated values or list ('all' = none)
+     * @returns {Array} Selected values, without duplicates
      */
-    setCategory(category) {
-        this.activeFilters.category = category;
+    toFacetValues(value) {
+        const values = Array.isArray(value) ? value : String(value ?? '').split(',');
+        
+        return [...new Set(values
+            .map(item => String(item).trim())
+            .filter(item => item && item !== 'all'))];
+    }
+    
+    /**
+     * Set the selected values of a facet
+     * @param {string} facet - Facet ('category' or 'tier')
+     * @param {string|Array} values - Selected values ('all' or [] = no restriction)
+     */
+    setFacet(facet, values) {
+        this.activeFilters[facet] = this.toFacetValues(values);
         this.applyFilters();
         this.updateURL();
         this.notifyListeners();
     }
     
+    /**
+     * Add a value to a facet, or remove it if already selected
+     * @param {string} facet - Facet ('category' or 'tier')
+     * @param {string} value - Value to toggle
+     */
+    toggleFacet(facet, value) {
+        const selected = this.activeFilters[facet];
+        
+        this.setFacet(facet, selected.includes(value)
+            ? selected.filter(item => item !== value)
+            : [...selected, value]);
+    }
+    
+    /**
+     * Set category filter
+     * @param {string|Array} category - Category or categories to filter by
+     */
+    setCategory(category) {
+        this.setFacet('category', category);
+    }
+    
     /**
      * Set tier filter
-     * @param {string} tier - Tier to filter by
+     * @param {string|Array} tier - Tier or tiers to filter by
      */
     setTier(tier) {
-        this.activeFilters.tier = tier;
-        this.applyFilters();
-        this.updateURL();
-        this.notifyListeners();
+        this.setFacet('tier', tier);
+    }
+    
+    /**
+     * Toggle a category in the category filter
+     * @param {string} category - Category
+     */
+    toggleCategory(category) {
+        this.toggleFacet('category', category);
+    }
+    
+    /**
+     * Toggle a tier in the tier filter
+     * @param {string} tier - Tier
+     */
+    toggleTier(tier) {
+        this.toggleFacet('tier', tier);
     }
     
     /**
@@ -111,7 +192,8 @@ class FilterManager {
     setSearchQuery(query) {
         this.activeFilters.searchQuery = query;
         this.applyFilters();
-        this.updateURL();
+        // Typing updates the query on every pause: keep one history entry
+        this.updateURL(true);
         this.notifyListeners();
     }
     
@@ -126,63 +208,241 @@ class FilterManager {
         this.notifyListeners();
     }
     
+    /**
+     * Set verified shop filter
+     * @param {boolean} verified - Only verified shops
+     */
+    setVerified(verified) {
+        this.activeFilters.verified = verified;
+        this.applyFilters();
+        this.updateURL();
+        this.notifyListeners();
+    }
+    
+    /**
+     * Set shop type filter
+     * @param {string} shopType - 'all', 'official' or 'other' (CONFIG.shopFilters.types)
+     */
+    setShopType(shopType) {
+        this.activeFilters.shopType = shopType;
+        this.applyFilters();
+        this.updateURL();
+        this.notifyListeners();
+    }
+    
+    /**
+     * Set minimum followers filter
+     * @param {number} minFollowers - Minimum follower count
+     */
+    setMinFollowers(minFollowers) {
+        this.activeFilters.minFollowers = minFollowers;
+        this.applyFilters();
+        this.updateURL();
+        this.notifyListeners();
+    }
+    
+    /**
+     * Set minimum rating count filter
+     * @param {number} minRatingCount - Minimum number of ratings
+     */
+    setMinRatingCount(minRatingCount) {
+        this.activeFilters.minRatingCount = minRatingCount;
+        this.applyFilters();
+        this.updateURL();
+        this.notifyListeners();
+    }
+    
     /**
      * Apply all active filters
      */
     applyFilters() {
         if (this.originalData.length === 0) return;
         
-        this.filteredData = this.originalData.filter(item => {
-            // Category filter
-            if (this.activeFilters.category !== 'all') {
-                if (item.category !== this.activeFilters.category) {
-                    return false;
-                }
-            }
-            
-            // Tier filter
-            if (this.activeFilters.tier !== 'all') {
-                if (item.tier !== this.activeFilters.tier) {
-                    return false;
-                }
-            }
-            
-            // Price filter
-            if (item.salePrice !== undefined) {
-                if (item.salePrice < this.activeFilters.minPrice || 
-                    item.salePrice > this.activeFilters.maxPrice) {
-                    return false;
-                }
+        // The search index (searchManager.initSearch) scores the query once per change
+        this.searchScores = searchManager.getScores(this.activeFilters.searchQuery);
+        
+        this.filteredData = this.originalData.filter(item => this.matchesFilters(item));
+    }
+    
+    /**
+     * Check an item against the active filters
+     * @param {Object} item - Product or shop
+     * @param {string} ignore - Filter to leave out, for facet counts ('category', 'tier', 'price',
+     *   'discount', 'verified', 'shopType', 'followers' or 'ratingCount')
+     * @returns {boolean} Whether the item passes
+     */
+    matchesFilters(item, ignore = null) {
+        // Category filter (any selected category)
+        if (ignore !== 'category' && this.activeFilters.category.length > 0) {
+            if (!this.activeFilters.category.includes(item.category)) {
+                return false;
             }
-            
-            // Discount filter
-            if (item.discount !== undefined) {
-                if (item.discount < this.activeFilters.minDiscount) {
-                    return false;
-                }
+        }
+        
+        // Tier filter (any selected tier)
+        if (ignore !== 'tier' && this.activeFilters.tier.length > 0) {
+            if (!this.activeFilters.tier.includes(item.tier)) {
+                return false;
             }
-            
-            // Rating filter
-            if (item.rating !== undefined) {
-                if (parseFloat(item.rating) < this.activeFilters.minRating) {
-                    return false;
-                }
+        }
+        
+        // Price filter
+        if (ignore !== 'price' && !this.matchesPrice(item, this.activeFilters.minPrice, this.activeFilters.maxPrice)) {
+            return false;
+        }
+        
+        // Discount filter
+        if (ignore !== 'discount' && !this.matchesDiscount(item, this.activeFilters.minDiscount)) {
+            return false;
+        }
+        
+        // Shop filters
+        if (ignore !== 'verified' && this.activeFilters.verified && item.verified === false) {
+            return false;
+        }
+        
+        if (ignore !== 'shopType' && !this.matchesShopType(item, this.activeFilters.shopType)) {
+            return false;
+        }
+        
+        if (ignore !== 'followers' && !this.matchesMinimum(item.followers, this.activeFilters.minFollowers)) {
+            return false;
+        }
+        
+        if (ignore !== 'ratingCount' && !this.matchesMinimum(item.ratingCount, this.activeFilters.minRatingCount)) {
+            return false;
+        }
+        
+        // Rating filter (unrated items only pass when no minimum is set)
+        if (item.rating !== undefined && this.activeFilters.minRating > 0) {
+            if (item.rating === null || parseFloat(item.rating) < this.activeFilters.minRating) {
+                return false;
             }
-            
-            // Search filter
-            if (this.activeFilters.searchQuery) {
-                const searchFields = item.name ? ['name'] : 
-                                   item.shopName ? ['shopName'] : [];
-                if (searchFields.length > 0) {
-                    const results = csvHandler.search([item], this.activeFilters.searchQuery, searchFields);
-                    if (results.length === 0) {
-                        return false;
-                    }
+        }
+        
+        // Search filter
+        if (this.searchScores && !this.searchScores.has(item.id)) {
+            return false;
+        }
+        
+        return true;
+    }
+    
+    /**
+     * Check an item against a price range
+     * Products with variants match when their range overlaps; items without a price always match.
+     * @param {Object} item - Product or shop
+     * @param {number} min - Minimum price
+     * @param {number} max - Maximum price
+     * @returns {boolean} Whether the item passes
+     */
+    matchesPrice(item, min, max) {
+        if (item.salePrice === undefined) return true;
+        
+        const low = item.minPrice ?? item.salePrice;
+        const high = item.maxPrice ?? item.salePrice;
+        return high >= min && low <= max;
+    }
+    
+    /**
+     * Check an item against a minimum discount (items without a discount always match)
+     * @param {Object} item - Product or shop
+     * @param {number} minDiscount - Minimum discount percentage
+     * @returns {boolean} Whether the item passes
+     */
+    matchesDiscount(item, minDiscount) {
+        return item.discount === undefined || item.discount >= minDiscount;
+    }
+    
+    /**
+     * Check an item against a shop type (items without a type always match)
+     * @param {Object} item - Product or shop
+     * @param {string} shopType - 'all', 'official' or 'other'
+     * @returns {boolean} Whether the item passes
+     */
+    matchesShopType(item, shopType) {
+        if (shopType === 'all' || item.type === undefined) return true;
+        
+        const official = item.type === CONFIG.shopFilters.officialType;
+        return shopType === 'official' ? official : !official;
+    }
+    
+    /**
+     * Check a numeric field against a minimum (missing fields always match)
+     * @param {number} value - Field value
+     * @param {number} min - Minimum value
+     * @returns {boolean} Whether the value passes
+     */
+    matchesMinimum(value, min) {
+        return value === undefined || value >= min;
+    }
+    
+    /**
+     * Count the results each filter option would yield
+     * Each facet is counted against the other active filters, so the count of
+     * an option is the result size after choosing it (for category and tier,
+     * the results it adds: values within a facet are OR-ed).
+     * @returns {Object} Counts keyed by facet, then option value:
+     *   { category: { all, [key] }, tier: { all, [key] },
+     *     price: { [CONFIG.priceRanges value] }, discount: { [CONFIG.discountThresholds value] },
+     *     verified: { all, verified }, shopType, followers, ratingCount: { [CONFIG.shopFilters value] } }
+     */
+    getFacetCounts() {
+        const counts = {
+            category: {},
+            tier: {},
+            price: {},
+            discount: {},
+            verified: {},
+            shopType: {},
+            followers: {},
+            ratingCount: {}
+        };
+        const pool = (ignore) => this.originalData.filter(item => this.matchesFilters(item, ignore));
+        
+        [['category', CONFIG.categories], ['tier', CONFIG.tiers]].forEach(([facet, options]) => {
+            const items = pool(facet);
+            counts[facet].all = items.length;
+            Object.keys(options).forEach(key => {
+                counts[facet][key] = 0;
+            });
+            items.forEach(item => {
+                if (counts[facet][item[facet]] !== undefined) {
+                    counts[facet][item[facet]]++;
                 }
-            }
-            
-            return true;
+            });
+        });
+        
+        const pricePool = pool('price');
+        CONFIG.priceRanges.forEach(range => {
+            counts.price[range.value] = pricePool.filter(item => this.matchesPrice(item, range.min, range.max)).length;
+        });
+        
+        const discountPool = pool('discount');
+        CONFIG.discountThresholds.forEach(threshold => {
+            counts.discount[threshold.value] = discountPool.filter(item => this.matchesDiscount(item, threshold.min)).length;
+        });
+        
+        const verifiedPool = pool('verified');
+        counts.verified.all = verifiedPool.length;
+        counts.verified.verified = verifiedPool.filter(item => item.verified !== false).length;
+        
+        const typePool = pool('shopType');
+        CONFIG.shopFilters.types.forEach(type => {
+            counts.shopType[type.value] = typePool.filter(item => this.matchesShopType(item, type.value)).length;
+        });
+        
+        const followersPool = pool('followers');
+        CONFIG.shopFilters.followerThresholds.forEach(threshold => {
+            counts.followers[threshold.value] = followersPool.filter(item => this.matchesMinimum(item.followers, threshold.min)).length;
+        });
+        
+        const ratingCountPool = pool('ratingCount');
+        CONFIG.shopFilters.ratingCountThresholds.forEach(threshold => {
+            counts.ratingCount[threshold.value] = ratingCountPool.filter(item => this.matchesMinimum(item.ratingCount, threshold.min)).length;
         });
+        
+        return counts;
     }
     
     /**
@@ -190,12 +450,17 @@ class FilterManager {
      */
     resetFilters() {
         this.activeFilters = {
-            category: 'all',
-            tier: 'all',
+            category: [],
+            tier: [],
             minPrice: 0,
             maxPrice: Infinity,
             minDiscount: 0,
             minRating: 0,
+            // Shop filters (only items that have the field are filtered)
+            verified: false,
+            shopType: 'all',
+            minFollowers: 0,
+            minRatingCount: 0,
             searchQuery: ''
         };
         this.applyFilters();
@@ -220,6 +485,27 @@ class FilterManager {
         return this.filteredData;
     }
     
+    /**
+     * Get filtered data in display order
+     * @param {string} sortBy - Sort key ('relevance' ranks by search score)
+     * @param {Function} sorter - Sorts by key, e.g. (items, key) => csvHandler.sortProducts(items, key)
+     * @param {string} fallbackSort - Sort for 'relevance' without a query, and for equal scores
+     * @returns {Array} Sorted filtered data
+     */
+    getSortedData(sortBy, sorter, fallbackSort) {
+        if (sortBy !== 'relevance') {
+            return sorter(this.filteredData, sortBy);
+        }
+        
+        const sorted = sorter(this.filteredData, fallbackSort);
+        if (!this.searchScores) {
+            return sorted;
+        }
+        
+        // Array sort is stable, so equal scores keep the fallback order
+        return sorted.sort((a, b) => this.searchScores.get(b.id) - this.searchScores.get(a.id));
+    }
+    
     /**
      * Get filter statistics
      * @returns {Object} Statistics about filters
@@ -240,12 +526,16 @@ class FilterManager {
     getAppliedFiltersCount() {
         let count = 0;
         
-        if (this.activeFilters.category !== 'all') count++;
-        if (this.activeFilters.tier !== 'all') count++;
+        count += this.activeFilters.category.length;
+        count += this.activeFilters.tier.length;
         if (this.activeFilters.minPrice > 0) count++;
         if (this.activeFilters.maxPrice < Infinity) count++;
         if (this.activeFilters.minDiscount > 0) count++;
         if (this.activeFilters.minRating > 0) count++;
+        if (this.activeFilters.verified) count++;
+        if (this.activeFilters.shopType !== 'all') count++;
+        if (this.activeFilters.minFollowers > 0) count++;
+        if (this.activeFilters.minRatingCount > 0) count++;
         if (this.activeFilters.searchQuery) count++;
         
         return count;
@@ -258,11 +548,11 @@ class FilterManager {
     getActiveFilters() {
         const active = {};
         
-        if (this.activeFilters.category !== 'all') {
-            active.category = this.activeFilters.category;
+        if (this.activeFilters.category.length > 0) {
+            active.category = [...this.activeFilters.category];
         }
-        if (this.activeFilters.tier !== 'all') {
-            active.tier = this.activeFilters.tier;
+        if (this.activeFilters.tier.length > 0) {
+            active.tier = [...this.activeFilters.tier];
         }
         if (this.activeFilters.minPrice > 0) {
             active.minPrice = this.activeFilters.minPrice;
@@ -273,6 +563,18 @@ class FilterManager {
         if (this.activeFilters.minDiscount > 0) {
             active.minDiscount = this.activeFilters.minDiscount;
         }
+        if (this.activeFilters.verified) {
+            active.verified = true;
+        }
+        if (this.activeFilters.shopType !== 'all') {
+            active.shopType = this.activeFilters.shopType;
+        }
+        if (this.activeFilters.minFollowers > 0) {
+            active.minFollowers = this.activeFilters.minFollowers;
+        }
+        if (this.activeFilters.minRatingCount > 0) {
+            active.minRatingCount = this.activeFilters.minRatingCount;
+        }
         if (this.activeFilters.searchQuery) {
             active.searchQuery = this.activeFilters.searchQuery;
         }
@@ -282,16 +584,31 @@ class FilterManager {
     
     /**
      * Update URL with current filters
+     * @param {boolean} replace - Replace the history entry (search typing)
      */
-    updateURL() {
-        const params = {};
+    updateURL(replace = false) {
+        // Inactive filters are listed as null so they are removed from the URL
+        const params = {
+            category: null,
+            tier: null,
+            minPrice: null,
+            maxPrice: null,
+            minDiscount: null,
+            verified: null,
+            shopType: null,
+            minFollowers: null,
+            minRatingCount: null,
+            search: null,
+            // Changed filters start over at the first page
+            page: null
+        };
         
-        if (this.activeFilters.category !== 'all') {
-            params.category = this.activeFilters.category;
+        if (this.activeFilters.category.length > 0) {
+            params.category = this.activeFilters.category.join(',');
         }
         
-        if (this.activeFilters.tier !== 'all') {
-            params.tier = this.activeFilters.tier;
+        if (this.activeFilters.tier.length > 0) {
+            params.tier = this.activeFilters.tier.join(',');
         }
         
         if (this.activeFilters.minPrice > 0) {
@@ -306,11 +623,27 @@ class FilterManager {
             params.minDiscount = this.activeFilters.minDiscount;
         }
         
+        if (this.activeFilters.verified) {
+            params.verified = '1';
+        }
+        
+        if (this.activeFilters.shopType !== 'all') {
+            params.shopType = this.activeFilters.shopType;
+        }
+        
+        if (this.activeFilters.minFollowers > 0) {
+            params.minFollowers = this.activeFilters.minFollowers;
+        }
+        
+        if (this.activeFilters.minRatingCount > 0) {
+            params.minRatingCount = this.activeFilters.minRatingCount;
+        }
+        
         if (this.activeFilters.searchQuery) {
-            params.search = encodeURIComponent(this.activeFilters.searchQuery);
+            params.search = this.activeFilters.searchQuery;
         }
         
-        Utils.updateQueryParams(params);
+        Utils.updateQueryParams(params, replace);
     }
     
     /**
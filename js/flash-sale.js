@@ -0,0 +1,161 @@
+/**
+ * ============================================
+ * FLASH-SALE.JS - Shopee Affiliate Hub
+ * Flash sale campaign scheduling
+ * Version: 1.0.0
+ * ============================================
+ */
+
+'use strict';
+
+/**
+ * Flash Sale Manager Class
+ * Resolves which campaign slot is live and which comes next, and notifies
+ * listeners whenever that changes.
+ */
+class FlashSaleManager {
+    constructor() {
+        this.slots = [];
+        this.schedule = { live: null, upcoming: null };
+        this.listeners = [];
+    }
+    
+    /**
+     * Set campaign slots
+     * @param {Array} slots - Slots from csvHandler.processFlashSaleData()
+     */
+    setSlots(slots) {
+        this.slots = slots.filter(slot => slot.items.length > 0);
+        this.refresh();
+    }
+    
+    /**
+     * Get the next occurrence of a slot that has not ended yet
+     * Daily slots are tried yesterday (for slots running past midnight),
+     * today and tomorrow.
+     * @param {Object} slot - Normalized slot
+     * @param {Date} now - Reference time
+     * @returns {Object|null} { slot, start, end } or null if over
+     */
+    getOccurrence(slot, now) {
+        if (!slot.recurring) {
+            return slot.endTime > now ? { slot, start: slot.startTime, end: slot.endTime } : null;
+        }
+        
+        const [startHours, startMinutes] = slot.startTime.split(':').map(Number);
+        const [endHours, endMinutes] = slot.endTime.split(':').map(Number);
+        
+        for (let dayOffset = -1; dayOffset <= 1; dayOffset++) {
+            const start = new Date(now);
+            start.setDate(start.getDate() + dayOffset);
+            start.setHours(startHours, startMinutes, 0, 0);
+            
+            const end = new Date(start);
+            end.setHours(endHours, endMinutes, 0, 0);
+            if (end <= start) {
+                end.setDate(end.getDate() + 1);
+            }
+            
+            if (end > now) {
+                return { slot, start, end };
+            }
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Compute the live and upcoming slots
+     * When slots overlap, the one that started last is live.
+     * @param {Date} now - Reference time
+     * @returns {Object} { live, upcoming } occurrences (null if none)
+     */
+    getSchedule(now = new Date()) {
+        const occurrences = this.slots
+            .map(slot => this.getOccurrence(slot, now))
+            .filter(Boolean);
+        
+        const live = occurrences
+            .filter(occurrence => occurrence.start <= now)
+            .sort((a, b) => b.start - a.start)[0] || null;
+        
+        const upcoming = occurrences
+            .filter(occurrence => occurrence.start > now)
+            .sort((a, b) => a.start - b.start)[0] || null;
+        
+        return { live, upcoming };
+    }
+    
+    /**
+     * Get the time the countdown runs to
+     * @returns {Date|null} End of the live slot, start of the upcoming one
+     */
+    getCountdownTarget() {
+        const { live, upcoming } = this.schedule;
+        if (live) return live.end;
+        if (upcoming) return upcoming.start;
+        return null;
+    }
+    
+    /**
+     * Recompute the schedule and notify listeners if it changed
+     * @returns {Object} Current schedule
+     */
+    refresh() {
+        const previous = this.getScheduleKey(this.schedule);
+        this.schedule = this.getSchedule();
+        
+        if (this.getScheduleKey(this.schedule) !== previous) {
+            this.notifyListeners();
+        }
+        
+        return this.schedule;
+    }
+    
+    /**
+     * Identify a schedule by its slots and times
+     * @param {Object} schedule - Schedule
+     * @returns {string} Key
+     */
+    getScheduleKey(schedule) {
+        return ['live', 'upcoming']
+            .map(state => {
+                const occurrence = schedule[state];
+                return occurrence ? `${occurrence.slot.id}@${occurrence.start.getTime()}` : '-';
+            })
+            .join('|');
+    }
+    
+    /**
+     * Subscribe to schedule changes
+     * @param {Function} callback - Callback function
+     * @returns {Function} Unsubscribe function
+     */
+    subscribe(callback) {
+        this.listeners.push(callback);
+        return () => {
+            this.listeners = this.listeners.filter(cb => cb !== callback);
+        };
+    }
+    
+    /**
+     * Notify all listeners
+     */
+    notifyListeners() {
+        this.listeners.forEach(callback => {
+            try {
+                callback(this.schedule);
+            } catch (error) {
+                console.error('[FlashSaleManager] Listener error:', error);
+            }
+        });
+    }
+}
+
+// Create global instance
+const flashSaleManager = new FlashSaleManager();
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FlashSaleManager;
+}
\ No newline at end of file
@@ -0,0 +1,108 @@
+/**
+ * ============================================
+ * LINK-BUILDER.JS - Shopee Affiliate Hub
+ * Placement tagging for affiliate links
+ * Version: 1.0.0
+ * ============================================
+ */
+
+'use strict';
+
+/**
+ * Link Builder Class
+ * Appends the sub_id / UTM parameters of CONFIG.affiliateLinks to outbound
+ * affiliate links so commission reports can be split by page section.
+ */
+class LinkBuilder {
+    /**
+     * Check whether a placement has tagging rules
+     * @param {string} placement - Placement key
+     * @returns {boolean} Known placement
+     */
+    isPlacement(placement) {
+        return Boolean(placement && CONFIG.affiliateLinks.placements[placement]);
+    }
+    
+    /**
+     * Get the parameters for a placement
+     * @param {string} placement - Placement key
+     * @param {Object} item - Product or shop ({ id })
+     * @returns {Object} Parameters with placeholders filled in
+     */
+    getParams(placement, item = {}) {
+        const rules = {
+            ...CONFIG.affiliateLinks.defaults,
+            ...(this.isPlacement(placement) ? CONFIG.affiliateLinks.placements[placement] : {})
+        };
+        const values = { id: item.id || '', placement: placement || '' };
+        const params = {};
+        
+        Object.entries(rules).forEach(([key, value]) => {
+            const filled = String(value).replace(/\{(\w+)\}/g, (match, name) => values[name] ?? '');
+            if (filled) {
+                params[key] = filled;
+            }
+        });
+        
+        return params;
+    }
+    
+    /**
+     * Build a tagged affiliate link
+     * @param {string} link - Affiliate link from the CSV
+     * @param {string} placement - Placement key (data-track-section name)
+     * @param {Object} item - Product or shop ({ id })
+     * @returns {string} Tagged link (unchanged if it cannot be parsed)
+     */
+    build(link, placement, item = {}) {
+        let url;
+        try {
+            url = new URL(link);
+        } catch (e) {
+            return link;
+        }
+        
+        Object.entries(this.getParams(placement, item)).forEach(([key, value]) => {
+            // Keep parameters already set on the CSV link
+            if (!url.searchParams.has(key)) {
+                url.searchParams.set(key, value);
+            }
+        });
+        
+        return url.toString();
+    }
+    
+    /**
+     * Build a link to one of our detail pages, carrying the placement
+     * so the detail page's CTA is attributed to where the visitor came from
+     * @param {string} page - Page file ('product.html' or 'shop.html')
+     * @param {string} id - Product or shop id
+     * @param {string} placement - Placement key
+     * @returns {string} Relative URL
+     */
+    buildDetailUrl(page, id, placement) {
+        const params = new URLSearchParams({ id: id });
+        if (this.isPlacement(placement)) {
+            params.set('src', placement);
+        }
+        return `${page}?${params.toString()}`;
+    }
+    
+    /**
+     * Get the placement a detail page was reached from
+     * @param {string} fallback - Placement used when the URL has none
+     * @returns {string} Placement key
+     */
+    getSourcePlacement(fallback) {
+        const src = Utils.getQueryParams().src;
+        return this.isPlacement(src) ? src : fallback;
+    }
+}
+
+// Create global instance
+const linkBuilder = new LinkBuilder();
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LinkBuilder;
+}
\ No newline at end of file
@@ -15,6 +15,10 @@ class MainApp {
     constructor() {
         this.shopsData = null;
         this.productsData = null;
+        this.flashSaleData = null;
+        this.vouchersData = null;
+        this.topShopsTier = 'all';
+        this.hotProductsPage = 1;
         this.isInitialized = false;
     }
     
@@ -24,6 +28,9 @@ class MainApp {
     async init() {
         console.log('[MainApp] Initializing...');
         
+        // The signup form needs no catalog: usable while it loads, or if it fails
+        this.initializeNewsletter();
+        
         try {
             // Load data
             await this.loadData();
@@ -34,11 +41,16 @@ class MainApp {
             // Initialize components
             this.initializeBannerSlider();
             this.initializeFlashSale();
+            this.initializeRecentlyViewed();
             this.initializeTopShops();
             this.initializeHotProducts();
+            this.initializeVouchers();
             this.initializeBackToTop();
             this.initializeSearch();
             
+            // Re-render with fresh data when a cached catalog was revalidated
+            csvHandler.subscribe((updates) => this.onDataUpdate(updates));
+            
             this.isInitialized = true;
             console.log('[MainApp] Initialized successfully');
         } catch (error) {
@@ -48,19 +60,36 @@ class MainApp {
     }
     
     /**
-     * Load CSV data
+     * Load catalog data
      */
     async loadData() {
         console.log('[MainApp] Loading data...');
         
         try {
-            const shopsPromise = csvHandler.loadCSV(CONFIG.api.endpoints.shops);
-            const productsPromise = csvHandler.loadCSV(CONFIG.api.endpoints.products);
+            const shopsPromise = csvHandler.loadData(CONFIG.api.endpoints.shops);
+            const productsPromise = csvHandler.loadData(CONFIG.api.endpoints.products);
+            
+            // Flash sales and vouchers are optional: without them their section is hidden
+            const flashSalesPromise = csvHandler.loadData(CONFIG.api.endpoints.flashSales).catch(error => {
+                console.warn('[MainApp] Flash sale data unavailable:', error);
+                return [];
+            });
+            const vouchersPromise = csvHandler.loadData(CONFIG.api.endpoints.vouchers).catch(error => {
+                console.warn('[MainApp] Voucher data unavailable:', error);
+                return [];
+            });
             
-            const [shopsRaw, productsRaw] = await Promise.all([shopsPromise, productsPromise]);
+            const [shopsRaw, productsRaw, flashSalesRaw, vouchersRaw] = await Promise.all([
+                shopsPromise,
+                productsPromise,
+                flashSalesPromise,
+                vouchersPromise
+            ]);
             
             this.shopsData = csvHandler.processShopData(shopsRaw);
-            this.productsData = csvHandler.processProductData(productsRaw);
+            this.productsData = csvHandler.processProductData(productsRaw, this.shopsData);
+            this.flashSaleData = csvHandler.processFlashSaleData(flashSalesRaw, this.productsData);
+            this.vouchersData = csvHandler.processVoucherData(vouchersRaw, this.shopsData);
             
             console.log('[MainApp] Data loaded successfully');
             console.log('Shops:', this.shopsData.all.length);
@@ -161,28 +190,95 @@ class MainApp {
      */
     initializeFlashSale() {
         const container = document.getElementById('flashSaleProducts');
-        if (!container || !this.productsData) return;
+        if (!container || !this.flashSaleData) return;
         
-        // Get best sellers
-        const flashSaleProducts = this.productsData.bestSellers.slice(0, 10);
+        flashSaleManager.setSlots(this.flashSaleData.slots);
+        this.renderFlashSale(flashSaleManager.schedule);
         
-        // Render products
-        flashSaleProducts.forEach(product => {
-            const card = renderManager.renderProductCard(product);
-            card.classList.add('flex-shrink-0', 'w-36', 'md:w-44');
-            container.appendChild(card);
-        });
+        // Re-render whenever the live/upcoming slot changes
+        flashSaleManager.subscribe((schedule) => this.renderFlashSale(schedule));
         
         // Countdown timer
         this.updateFlashSaleTimer();
-        setInterval(() => this.updateFlashSaleTimer(), 1000);
+        setInterval(() => this.updateFlashSaleTimer(), CONFIG.flashSale.refreshInterval);
+    }
+    
+    /**
+     * Render the live slot, or the upcoming one when nothing is live
+     * @param {Object} schedule - Schedule from flashSaleManager
+     */
+    renderFlashSale(schedule) {
+        const section = document.getElementById('flashSale');
+        const container = document.getElementById('flashSaleProducts');
+        const statusEl = document.getElementById('flashSaleStatus');
+        const nextEl = document.getElementById('flashSaleNext');
+        const current = schedule.live || schedule.upcoming;
+        
+        if (!container) return;
+        
+        if (!current) {
+            if (section) section.classList.add('hidden');
+            return;
+        }
+        
+        if (section) section.classList.remove('hidden');
+        
+        if (statusEl) {
+            statusEl.textContent = schedule.live
+                ? 'Kết thúc trong'
+                : `Sắp diễn ra ${this.formatSlotTime(current.start)} · Bắt đầu sau`;
+        }
+        
+        if (nextEl) {
+            const next = schedule.live ? schedule.upcoming : null;
+            nextEl.textContent = next ? `Khung tiếp theo: ${this.formatSlotTime(next.start)}` : '';
+        }
+        
+        // Render products at their flash sale price. The price only exists in
+        // this rail, so cards open the deal on Shopee rather than a detail
+        // page showing the regular price, and the heart saves the catalog product
+        container.innerHTML = '';
+        current.slot.items.slice(0, CONFIG.flashSale.maxProducts).forEach(item => {
+            const card = renderManager.renderProductCard({
+                ...item.product,
+                salePrice: item.flashPrice,
+                minPrice: item.flashPrice,
+                maxPrice: item.flashPrice,
+                hasPriceRange: false,
+                discount: item.discount
+            }, 'flash-sale', { outbound: true, catalogProduct: item.product });
+            card.classList.add('flex-shrink-0', 'w-36', 'md:w-44');
+            container.appendChild(card);
+        });
+    }
+    
+    /**
+     * Format a slot start time (HH:MM, with the date when not today)
+     * @param {Date} date - Slot time
+     * @returns {string} Formatted time
+     */
+    formatSlotTime(date) {
+        const time = `${Utils.padNumber(date.getHours())}:${Utils.padNumber(date.getMinutes())}`;
+        return date.toDateString() === new Date().toDateString()
+            ? time
+            : `${time} ${Utils.formatDate(date)}`;
     }
     
     /**
      * Update flash sale countdown timer
+     * Switches to the next slot once the countdown reaches zero.
      */
     updateFlashSaleTimer() {
-        const timeRemaining = Utils.getTimeRemaining(CONFIG.flashSale.endTime);
+        let target = flashSaleManager.getCountdownTarget();
+        if (!target) return;
+        
+        if (Utils.getTimeRemaining(target).expired) {
+            flashSaleManager.refresh();
+            target = flashSaleManager.getCountdownTarget();
+            if (!target) return;
+        }
+        
+        const timeRemaining = Utils.getTimeRemaining(target);
         
         const hoursEl = document.getElementById('hours');
         const minutesEl = document.getElementById('minutes');
@@ -193,6 +289,87 @@ class MainApp {
         if (secondsEl) secondsEl.textContent = Utils.padNumber(timeRemaining.seconds);
     }
     
+    /**
+     * Initialize recently viewed rail
+     */
+    initializeRecentlyViewed() {
+        const container = document.getElementById('recentlyViewedProducts');
+        if (!container || !this.productsData) return;
+        
+        const clearBtn = document.getElementById('clearRecentlyViewed');
+        if (clearBtn) {
+            clearBtn.addEventListener('click', () => recentlyViewed.clear());
+        }
+        
+        this.renderRecentlyViewed();
+        recentlyViewed.subscribe(() => this.renderRecentlyViewed());
+    }
+    
+    /**
+     * Render recently viewed products, hiding the rail when empty
+     */
+    renderRecentlyViewed() {
+        const section = document.getElementById('recentlyViewed');
+        const container = document.getElementById('recentlyViewedProducts');
+        const products = recentlyViewed.getProducts(this.productsData.all);
+        
+        if (!container) return;
+        if (section) section.classList.toggle('hidden', products.length === 0);
+        
+        container.innerHTML = '';
+        products.forEach(product => {
+            const card = renderManager.renderProductCard(product, 'recently-viewed');
+            card.classList.add('flex-shrink-0', 'w-36', 'md:w-44');
+            container.appendChild(card);
+        });
+    }
+    
+    /**
+     * Initialize vouchers section
+     */
+    initializeVouchers() {
+        const container = document.getElementById('vouchersGrid');
+        if (!container || !this.vouchersData) return;
+        
+        this.renderVouchers();
+        setInterval(() => this.updateVouchers(), 1000);
+    }
+    
+    /**
+     * Render active vouchers, hiding the section when none are left
+     */
+    renderVouchers() {
+        const section = document.getElementById('vouchers');
+        const container = document.getElementById('vouchersGrid');
+        const vouchers = this.vouchersData.active;
+        
+        if (!container) return;
+        if (section) section.classList.toggle('hidden', vouchers.length === 0);
+        renderManager.renderVouchersGrid(vouchers, container);
+    }
+    
+    /**
+     * Tick voucher countdowns and drop vouchers that just expired
+     */
+    updateVouchers() {
+        const active = csvHandler.getActiveVouchers(this.vouchersData.active);
+        
+        if (active.length !== this.vouchersData.active.length) {
+            this.vouchersData.active = active;
+            this.renderVouchers();
+            return;
+        }
+        
+        renderManager.updateVoucherExpiry(document.getElementById('vouchersGrid'));
+    }
+    
+    /**
+     * Initialize newsletter signup form
+     */
+    initializeNewsletter() {
+        newsletterManager.bindForm(document.getElementById('newsletterForm'));
+    }
+    
     /**
      * Initialize top shops section
      */
@@ -201,19 +378,6 @@ class MainApp {
         if (!container || !this.shopsData) return;
         
         const tabs = document.querySelectorAll('.tier-tab');
-        let currentTier = 'all';
-        
-        const renderShops = (tier) => {
-            let shops = [];
-            
-            if (tier === 'all') {
-                shops = this.shopsData.all.slice(0, 8);
-            } else {
-                shops = (this.shopsData.byTier[tier] || []).slice(0, 8);
-            }
-            
-            renderManager.renderShopsGrid(shops, container, 100);
-        };
         
         // Tab event listeners
         tabs.forEach(tab => {
@@ -221,13 +385,31 @@ class MainApp {
                 tabs.forEach(t => t.classList.remove('active'));
                 tab.classList.add('active');
                 
-                currentTier = tab.dataset.tier;
-                renderShops(currentTier);
+                this.topShopsTier = tab.dataset.tier;
+                this.renderTopShops();
             });
         });
         
         // Initial render
-        renderShops('all');
+        this.renderTopShops();
+    }
+    
+    /**
+     * Render the top shops of the selected tier tab
+     */
+    renderTopShops() {
+        const container = document.getElementById('topShopsGrid');
+        if (!container) return;
+        
+        let shops = [];
+        
+        if (this.topShopsTier === 'all') {
+            shops = this.shopsData.all.slice(0, 8);
+        } else {
+            shops = (this.shopsData.byTier[this.topShopsTier] || []).slice(0, 8);
+        }
+        
+        renderManager.renderShopsGrid(shops, container, 100);
     }
     
     /**
@@ -239,28 +421,31 @@ class MainApp {
         
         if (!container || !this.productsData) return;
         
-        let page = 1;
-        const itemsPerPage = 12;
-        
-        const renderProducts = () => {
-            const sorted = csvHandler.sortProducts(this.productsData.all, 'sold-desc');
-            renderManager.renderProductsGrid(sorted, container, itemsPerPage, page);
-        };
-        
         if (loadMoreBtn) {
             loadMoreBtn.addEventListener('click', () => {
-                page++;
-                const sorted = csvHandler.sortProducts(this.productsData.all, 'sold-desc');
-                if (page > renderManager.totalPages) {
+                this.hotProductsPage++;
+                if (this.hotProductsPage > renderManager.totalPages) {
                     renderManager.showToast('Đã xem hết tất cả sản phẩm', 'info');
-                    page = renderManager.totalPages;
+                    this.hotProductsPage = renderManager.totalPages;
                 } else {
-                    renderProducts();
+                    this.renderHotProducts();
                 }
             });
         }
         
-        renderProducts();
+        this.renderHotProducts();
+    }
+    
+    /**
+     * Render the current page of best selling products
+     */
+    renderHotProducts() {
+        const container = document.getElementById('hotProductsGrid');
+        if (!container) return;
+        
+        const itemsPerPage = 12;
+        const sorted = csvHandler.sortProducts(this.productsData.all, 'sold-desc');
+        renderManager.renderProductsGrid(sorted, container, itemsPerPage, this.hotProductsPage);
     }
     
     /**
@@ -288,27 +473,69 @@ class MainApp {
     
     /**
      * Initialize global search
+     * Suggestions appear while typing; submitting opens the products page.
      */
     initializeSearch() {
-        const globalSearch = document.getElementById('globalSearch');
-        const mobileSearch = document.getElementById('mobileSearch');
-        
-        if (globalSearch) {
-            globalSearch.addEventListener('input', (e) => {
-                const query = e.target.value.trim();
-                if (query.length >= CONFIG.search.minQueryLength) {
-                    // Navigate to products page with search
-                    window.location.href = `products.html?search=${encodeURIComponent(query)}`;
-                }
-            });
+        // Product and shop suggestions show up once their indexes are ready
+        searchAutocomplete.setData({
+            products: this.productsData.all,
+            shops: this.shopsData.all
+        }).catch(error => {
+            console.error('[MainApp] Search suggestions unavailable:', error);
+        });
+        
+        searchAutocomplete.attach(document.getElementById('globalSearch'));
+        searchAutocomplete.attach(document.getElementById('mobileSearch'));
+    }
+    
+    /**
+     * Re-render the sections whose data was revalidated in the background
+     * The selected tier tab and loaded pages are kept.
+     * @param {Array} updates - Batch from csvHandler.subscribe
+     */
+    async onDataUpdate(updates) {
+        const updated = csvHandler.getUpdatedEndpoints(updates);
+        const load = (name) => csvHandler.loadData(CONFIG.api.endpoints[name]);
+        // Flash sales and vouchers are optional (see loadData)
+        const loadOptional = (name) => load(name).catch(() => []);
+        
+        // Products join shops, flash sales join products and vouchers join shops
+        const shopsChanged = updated.has('shops');
+        const productsChanged = shopsChanged || updated.has('products');
+        const flashSalesChanged = productsChanged || updated.has('flashSales');
+        const vouchersChanged = shopsChanged || updated.has('vouchers');
+        
+        try {
+            if (shopsChanged) {
+                this.shopsData = csvHandler.processShopData(await load('shops'));
+            }
+            if (productsChanged) {
+                this.productsData = csvHandler.processProductData(await load('products'), this.shopsData);
+            }
+            if (flashSalesChanged) {
+                this.flashSaleData = csvHandler.processFlashSaleData(await loadOptional('flashSales'), this.productsData);
+                flashSaleManager.setSlots(this.flashSaleData.slots);
+                this.renderFlashSale(flashSaleManager.schedule);
+            }
+            if (vouchersChanged) {
+                this.vouchersData = csvHandler.processVoucherData(await loadOptional('vouchers'), this.shopsData);
+                this.renderVouchers();
+            }
+        } catch (error) {
+            console.error('[MainApp] Error refreshing data:', error);
+            return;
         }
         
-        if (mobileSearch) {
-            mobileSearch.addEventListener('input', (e) => {
-                const query = e.target.value.trim();
-                if (query.length >= CONFIG.search.minQueryLength) {
-                    window.location.href = `products.html?search=${encodeURIComponent(query)}`;
-                }
+        if (productsChanged) {
+            this.renderTopShops();
+            this.renderRecentlyViewed();
+            this.renderHotProducts();
+            
+            searchAutocomplete.setData({
+                products: this.productsData.all,
+                shops: this.shopsData.all
+            }).catch(error => {
+                console.error('[MainApp] Search suggestions unavailable:', error);
             });
         }
     }
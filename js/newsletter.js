@@ -0,0 +1,215 @@
+/**
+ * ============================================
+ * NEWSLETTER.JS - Shopee Affiliate Hub
+ * Newsletter signup and submission backends
+ * Version: 1.0.0
+ * ============================================
+ */
+
+'use strict';
+
+/**
+ * Newsletter Manager Class
+ * Validates and submits signups through a pluggable backend:
+ * an async function (payload) => void that throws on failure.
+ */
+class NewsletterManager {
+    constructor() {
+        this.backend = CONFIG.newsletter.endpoint
+            ? (payload) => this.postToEndpoint(payload)
+            : (payload) => this.mockSubmit(payload);
+        this.isSubmitting = false;
+    }
+    
+    /**
+     * Replace the submission backend
+     * @param {Function} backend - Async function receiving the payload
+     */
+    setBackend(backend) {
+        this.backend = backend;
+    }
+    
+    /**
+     * Get the stored subscription
+     * @returns {Object|null} { email, categories, subscribedAt } or null
+     */
+    getSubscription() {
+        return Utils.getStorage(CONFIG.storage.keys.newsletter);
+    }
+    
+    /**
+     * Check whether this browser has subscribed
+     * @returns {boolean} Subscribed flag
+     */
+    isSubscribed() {
+        return Boolean(this.getSubscription());
+    }
+    
+    /**
+     * Validate a signup
+     * @param {string} email - Email address
+     * @param {Array} categories - Selected category keys
+     * @returns {Object} { valid, message }
+     */
+    validate(email, categories) {
+        if (!Utils.isValidEmail(email)) {
+            return { valid: false, message: 'Vui lòng nhập email hợp lệ' };
+        }
+        
+        const unknown = categories.filter(category => !CONFIG.categories[category]);
+        if (unknown.length > 0) {
+            return { valid: false, message: `Danh mục không hợp lệ: ${unknown.join(', ')}` };
+        }
+        
+        return { valid: true };
+    }
+    
+    /**
+     * Subscribe an email address
+     * @param {string} email - Email address
+     * @param {Array} categories - Selected category keys (empty for all)
+     * @returns {Promise<boolean>} Whether the signup succeeded
+     */
+    async subscribe(email, categories = []) {
+        const normalizedEmail = email.trim().toLowerCase();
+        const validation = this.validate(normalizedEmail, categories);
+        
+        if (!validation.valid) {
+            renderManager.showToast(validation.message, 'warning');
+            return false;
+        }
+        
+        if (this.isSubmitting) return false;
+        this.isSubmitting = true;
+        
+        const payload = {
+            email: normalizedEmail,
+            categories: categories,
+            source: window.location.pathname,
+            subscribedAt: new Date().toISOString()
+        };
+        
+        try {
+            await this.backend(payload);
+            
+            Utils.setStorage(CONFIG.storage.keys.newsletter, {
+                email: payload.email,
+                categories: payload.categories,
+                subscribedAt: payload.subscribedAt
+            });
+            
+            renderManager.showToast('Đăng ký thành công! Hẹn gặp bạn ở đợt sale tới 🎉', 'success');
+            return true;
+        } catch (error) {
+            console.error('[NewsletterManager] Subscription failed:', error);
+            renderManager.showToast('Đăng ký thất bại, vui lòng thử lại sau', 'error');
+            return false;
+        } finally {
+            this.isSubmitting = false;
+        }
+    }
+    
+    /**
+     * POST the signup to CONFIG.newsletter.endpoint as JSON
+     * @param {Object} payload - Signup payload
+     */
+    async postToEndpoint(payload) {
+        const controller = typeof AbortController !== 'undefined' ? new AbortController() : null;
+        const timer = controller ? setTimeout(() => controller.abort(), CONFIG.api.timeout) : null;
+        
+        try {
+            const response = await fetch(CONFIG.newsletter.endpoint, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(payload),
+                signal: controller ? controller.signal : undefined
+            });
+            
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status} ${response.statusText}`);
+            }
+        } finally {
+            if (timer) clearTimeout(timer);
+        }
+    }
+    
+    /**
+     * Simulate a submission locally (no endpoint configured)
+     * @param {Object} payload - Signup payload
+     */
+    async mockSubmit(payload) {
+        console.log('[NewsletterManager] Mock submission:', payload);
+        await new Promise(resolve => setTimeout(resolve, CONFIG.newsletter.mockDelay));
+    }
+    
+    /**
+     * Render category preference checkboxes
+     * @param {HTMLElement} container - Container element
+     * @param {Array} selected - Pre-selected category keys
+     */
+    renderCategoryOptions(container, selected = []) {
+        if (!container) return;
+        
+        container.innerHTML = Object.entries(CONFIG.categories).map(([key, category]) => `
+            <label class="inline-flex items-center px-3 py-1 bg-white/20 rounded-full text-white text-sm cursor-pointer hover:bg-white/30">
+                <input type="checkbox" name="categories" value="${key}" class="mr-2" ${selected.includes(key) ? 'checked' : ''}>
+                ${category.icon} ${Utils.escapeHtml(category.name)}
+            </label>
+        `).join('');
+    }
+    
+    /**
+     * Bind a signup form
+     * Expects an email input named "email" and optional
+     * [data-newsletter-categories] / [data-newsletter-status] elements.
+     * @param {HTMLFormElement} form - Form element
+     */
+    bindForm(form) {
+        if (!form) return;
+        
+        const emailInput = form.querySelector('[name="email"]');
+        const submitBtn = form.querySelector('[type="submit"]');
+        const categoriesContainer = form.querySelector('[data-newsletter-categories]');
+        const subscription = this.getSubscription();
+        
+        this.renderCategoryOptions(categoriesContainer, subscription ? subscription.categories : []);
+        this.renderStatus(form, subscription);
+        
+        form.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            
+            const categories = Array.from(form.querySelectorAll('[name="categories"]:checked'))
+                .map(input => input.value);
+            
+            if (submitBtn) submitBtn.disabled = true;
+            const success = await this.subscribe(emailInput ? emailInput.value : '', categories);
+            if (submitBtn) submitBtn.disabled = false;
+            
+            if (success) {
+                this.renderStatus(form, this.getSubscription());
+            }
+        });
+    }
+    
+    /**
+     * Show the current subscription under the form
+     * @param {HTMLFormElement} form - Form element
+     * @param {Object|null} subscription - Stored subscription
+     */
+    renderStatus(form, subscription) {
+        const statusEl = form.querySelector('[data-newsletter-status]');
+        if (!statusEl) return;
+        
+        statusEl.textContent = subscription
+            ? `Bạn đã đăng ký nhận tin với ${subscription.email}. Gửi lại để cập nhật danh mục quan tâm.`
+            : '';
+    }
+}
+
+// Create global instance
+const newsletterManager = new NewsletterManager();
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = NewsletterManager;
+}
\ No newline at end of file
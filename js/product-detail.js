@@ -0,0 +1,364 @@
+/**
+ * ============================================
+ * PRODUCT-DETAIL.JS - Shopee Affiliate Hub
+ * Product detail page logic (product.html?id=...)
+ * Version: 1.0.0
+ * ============================================
+ */
+
+'use strict';
+
+/**
+ * Product Detail Page App
+ */
+class ProductDetailApp {
+    constructor() {
+        this.productId = Utils.getQueryParams().id || '';
+        this.product = null;
+        this.productsData = null;
+        this.shopsData = null;
+        this.priceHistory = null;
+        this.isInitialized = false;
+    }
+    
+    /**
+     * Initialize product detail page
+     */
+    async init() {
+        console.log('[ProductDetailApp] Initializing...');
+        
+        try {
+            if (!this.productId) {
+                this.renderNotFound();
+                return;
+            }
+            
+            await this.loadData();
+            this.initializeSearch();
+            
+            this.product = this.productsData.all.find(product => product.id === this.productId) || null;
+            if (!this.product) {
+                this.renderNotFound();
+                return;
+            }
+            
+            this.updateMeta();
+            this.renderBreadcrumb();
+            this.renderDetail();
+            this.renderPriceHistory();
+            this.renderShop();
+            this.renderSimilar();
+            
+            recentlyViewed.record(this.product.id);
+            
+            // Not subscribed to csvHandler on purpose: data revalidated in the
+            // background shows on the next visit instead of re-rendering the
+            // product the visitor is reading
+            
+            this.isInitialized = true;
+            console.log('[ProductDetailApp] Initialized successfully');
+        } catch (error) {
+            console.error('[ProductDetailApp] Initialization error:', error);
+            this.showErrorMessage();
+        }
+    }
+    
+    /**
+     * Load catalog data
+     */
+    async loadData() {
+        console.log('[ProductDetailApp] Loading data...');
+        
+        const [shopsRaw, productsRaw, historyRaw] = await Promise.all([
+            csvHandler.loadData(CONFIG.api.endpoints.shops),
+            csvHandler.loadData(CONFIG.api.endpoints.products),
+            // Price history is optional; the page still works without it
+            csvHandler.loadData(CONFIG.api.endpoints.priceHistory).catch(error => {
+                console.warn('[ProductDetailApp] Price history unavailable:', error);
+                return [];
+            })
+        ]);
+        
+        this.shopsData = csvHandler.processShopData(shopsRaw);
+        this.productsData = csvHandler.processProductData(productsRaw, this.shopsData);
+        this.priceHistory = csvHandler.processPriceHistory(historyRaw);
+    }
+    
+    /**
+     * Get the shareable URL of this page
+     * @returns {string} Absolute URL
+     */
+    getShareUrl() {
+        const url = new URL(window.location.href);
+        url.search = `?id=${encodeURIComponent(this.product.id)}`;
+        url.hash = '';
+        return url.toString();
+    }
+    
+    /**
+     * Update title, description and social sharing meta tags
+     */
+    updateMeta() {
+        const product = this.product;
+        const title = `${product.name} | Shopee Affiliate Hub`;
+        const price = product.hasPriceRange
+            ? `${Utils.formatCurrency(product.minPrice)} - ${Utils.formatCurrency(product.maxPrice)}`
+            : Utils.formatCurrency(product.salePrice);
+        const description = Utils.truncateText(`${price}. ${product.description || product.name}`, 160);
+        
+        Utils.setPageMeta({
+            title: title,
+            description: description,
+            image: product.image,
+            url: this.getShareUrl(),
+            type: 'product'
+        });
+    }
+    
+    /**
+     * Render breadcrumb
+     */
+    renderBreadcrumb() {
+        const container = document.getElementById('productBreadcrumb');
+        if (!container) return;
+        
+        const category = CONFIG.categories[this.product.category];
+        
+        container.innerHTML = `
+            <a href="index.html" class="hover:text-shopee-500">Trang chủ</a>
+            <span class="mx-1">›</span>
+            <a href="products.html" class="hover:text-shopee-500">Sản phẩm</a>
+            ${category ? `
+                <span class="mx-1">›</span>
+                <a href="products.html?category=${encodeURIComponent(this.product.category)}" class="hover:text-shopee-500">${Utils.escapeHtml(category.name)}</a>
+            ` : ''}
+            <span class="mx-1">›</span>
+            <span class="text-gray-700">${Utils.escapeHtml(Utils.truncateText(this.product.name, 60))}</span>
+        `;
+    }
+    
+    /**
+     * Render product summary, variants, description and affiliate CTA
+     */
+    renderDetail() {
+        const container = document.getElementById('productDetail');
+        if (!container) return;
+        
+        const product = this.product;
+        const tierConfig = CONFIG.tiers[product.tier] || CONFIG.tiers.n3;
+        const discount = Math.round(product.discount);
+        
+        container.innerHTML = `
+            <div class="grid grid-cols-1 md:grid-cols-2 gap-6">
+                <!-- Image -->
+                <div class="relative aspect-square overflow-hidden rounded-xl bg-gray-100">
+                    <img src="${Utils.escapeHtml(product.image)}"
+                         alt="${Utils.escapeHtml(product.name)}"
+                         class="w-full h-full object-cover"
+                         onerror="this.src='${CONFIG.defaultImages.product}'">
+                    <span class="absolute top-3 left-3 text-xs font-bold text-white px-2 py-1 rounded-full"
+                          style="background-color: ${tierConfig.hexColor}">
+                        ${tierConfig.label}
+                    </span>
+                </div>
+                
+                <!-- Info -->
+                <div>
+                    <h1 class="text-xl md:text-2xl font-bold text-gray-800 mb-3">${Utils.escapeHtml(product.name)}</h1>
+                    
+                    <div class="flex flex-wrap items-center gap-3 text-sm text-gray-600 mb-4">
+                        ${product.rating !== null && product.rating !== undefined ? `
+                            <span class="text-yellow-400">⭐ <span class="text-gray-700 font-semibold">${product.rating.toFixed(1)}</span></span>
+                            ${product.ratingCount > 0 ? `<span>${Utils.formatNumber(product.ratingCount)} đánh giá</span>` : ''}
+                        ` : '<span class="text-gray-400">Chưa có đánh giá</span>'}
+                        <span>Đã bán: ${Utils.formatSoldCount(product.soldCount)}</span>
+                    </div>
+                    
+                    <!-- Price -->
+                    <div class="bg-shopee-50 rounded-lg p-4 mb-4">
+                        <div class="flex flex-wrap items-end gap-3">
+                            <span class="text-shopee-500 font-bold text-2xl md:text-3xl">
+                                ${product.hasPriceRange
+                                    ? `${Utils.formatCurrency(product.minPrice)} - ${Utils.formatCurrency(product.maxPrice)}`
+                                    : Utils.formatCurrency(product.salePrice)}
+                            </span>
+                            ${discount > 0 ? `
+                                <span class="text-gray-400 line-through">${Utils.formatCurrency(product.originalPrice)}</span>
+                                <span class="bg-shopee-500 text-white px-2 py-0.5 rounded font-bold text-sm">
+                                    -${discount}%
+                                </span>
+                            ` : ''}
+                        </div>
+                        ${product.inStock ? '' : '<p class="mt-2 text-red-500 font-semibold text-sm">Tạm hết hàng</p>'}
+                    </div>
+                    
+                    <!-- Variants -->
+                    ${product.variants.length > 0 ? `
+                        <div class="mb-4">
+                            <h2 class="text-sm font-semibold text-gray-700 mb-2">Phân loại (${product.variants.length})</h2>
+                            <div class="flex flex-wrap gap-2">
+                                ${product.variants.map(variant => `
+                                    <span class="px-3 py-1 border rounded-lg text-sm ${variant.inStock ? 'border-gray-200 text-gray-700' : 'border-gray-100 text-gray-400 line-through'}"
+                                          title="${variant.inStock ? '' : 'Hết hàng'}">
+                                        ${Utils.escapeHtml(variant.name)} · ${Utils.formatCurrency(variant.salePrice)}
+                                    </span>
+                                `).join('')}
+                            </div>
+                        </div>
+                    ` : ''}
+                    
+                    <!-- Actions -->
+                    <div class="flex items-center gap-2 mb-6">
+                        <a href="${Utils.escapeHtml(linkBuilder.build(product.link, linkBuilder.getSourcePlacement('product-detail'), product))}"
+                           target="_blank"
+                           rel="noopener sponsored"
+                           data-track="product"
+                           data-track-id="${Utils.escapeHtml(product.id)}"
+                           data-track-target="outbound"
+                           class="flex-1 py-3 bg-shopee-500 text-white font-bold rounded-lg hover:bg-shopee-600 transition-colors text-center">
+                            🛒 Mua ngay trên Shopee
+                        </a>
+                        <button type="button" data-share class="px-4 py-3 border border-gray-200 rounded-lg text-gray-600 hover:text-shopee-500 hover:border-shopee-500 transition-colors" title="Chia sẻ">
+                            🔗 Chia sẻ
+                        </button>
+                        ${renderManager.renderFavoriteButton('products', product.id)}
+                    </div>
+                    
+                    <!-- Description -->
+                    <div>
+                        <h2 class="text-sm font-semibold text-gray-700 mb-2">Mô tả sản phẩm</h2>
+                        <p class="text-gray-600 text-sm leading-relaxed whitespace-pre-line">${Utils.escapeHtml(product.description || 'Chưa có mô tả.')}</p>
+                    </div>
+                </div>
+            </div>
+        `;
+        
+        container.querySelector('[data-share]').addEventListener('click', () => {
+            renderManager.shareLink(product.name, this.getShareUrl());
+        });
+        renderManager.bindFavoriteButton(container, 'products', product);
+    }
+    
+    /**
+     * Render price history chart
+     */
+    renderPriceHistory() {
+        const container = document.getElementById('productPriceHistory');
+        if (!container) return;
+        
+        const points = this.priceHistory.byProduct[this.product.id] || [];
+        renderManager.renderPriceHistory(points, container, this.product.salePrice);
+    }
+    
+    /**
+     * Render shop info
+     */
+    renderShop() {
+        const container = document.getElementById('productShop');
+        if (!container) return;
+        
+        container.innerHTML = '';
+        
+        if (this.product.shop) {
+            container.appendChild(renderManager.renderShopCard(this.product.shop, 'product-detail'));
+        } else {
+            container.innerHTML = `
+                <div class="bg-white rounded-xl shadow-md p-4 text-sm text-gray-600">
+                    🏪 ${Utils.escapeHtml(this.product.shopName || 'Chưa rõ shop')}
+                </div>
+            `;
+        }
+    }
+    
+    /**
+     * Render similar products (same category / tier)
+     */
+    renderSimilar() {
+        const section = document.getElementById('similarProductsSection');
+        const container = document.getElementById('similarProducts');
+        if (!container) return;
+        
+        const similar = csvHandler.getSimilarProducts(this.product, this.productsData.all);
+        
+        if (section) {
+            section.classList.toggle('hidden', similar.length === 0);
+        }
+        renderManager.renderProductsGrid(similar, container, similar.length);
+    }
+    
+    /**
+     * Show not found state
+     */
+    renderNotFound() {
+        const container = document.getElementById('productDetail');
+        if (container) {
+            container.innerHTML = `
+                <div class="text-center py-12">
+                    <div class="text-6xl mb-4">🔍</div>
+                    <h3 class="text-lg font-semibold text-gray-700 mb-2">Không tìm thấy sản phẩm</h3>
+                    <p class="text-gray-500 mb-4">Sản phẩm có thể đã ngừng bán hoặc liên kết không đúng.</p>
+                    <a href="products.html" class="inline-block px-6 py-2 bg-shopee-500 text-white font-semibold rounded-lg hover:bg-shopee-600 transition-colors">
+                        Xem sản phẩm khác
+                    </a>
+                </div>
+            `;
+        }
+        
+        this.hideExtras();
+    }
+    
+    /**
+     * Hide sections that need a product
+     */
+    hideExtras() {
+        ['productExtras', 'similarProductsSection'].forEach(id => {
+            const el = document.getElementById(id);
+            if (el) el.classList.add('hidden');
+        });
+    }
+    
+    /**
+     * Attach search suggestions to the header search inputs
+     * Submitting opens the products page with the query.
+     */
+    initializeSearch() {
+        searchAutocomplete.setData({
+            products: this.productsData.all,
+            shops: this.shopsData.all
+        }).catch(error => {
+            console.error('[ProductDetailApp] Search suggestions unavailable:', error);
+        });
+        
+        searchAutocomplete.attach(document.getElementById('productSearchInput'));
+        searchAutocomplete.attach(document.getElementById('mobileProductSearch'));
+    }
+    
+    /**
+     * Show error message
+     */
+    showErrorMessage() {
+        const container = document.getElementById('productDetail');
+        if (container) {
+            container.innerHTML = `
+                <div class="text-center py-12">
+                    <div class="text-6xl mb-4">⚠️</div>
+                    <h3 class="text-lg font-semibold text-gray-700 mb-2">Có lỗi xảy ra</h3>
+                    <p class="text-gray-500">Không thể tải dữ liệu. Vui lòng tải lại trang.</p>
+                </div>
+            `;
+        }
+        
+        this.hideExtras();
+    }
+}
+
+// Initialize when DOM is ready
+document.addEventListener('DOMContentLoaded', async () => {
+    const app = new ProductDetailApp();
+    await app.init();
+});
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ProductDetailApp;
+}
\ No newline at end of file
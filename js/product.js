@@ -14,6 +14,9 @@
 class ProductsApp {
     constructor() {
         this.productsData = null;
+        this.shopsData = null;
+        this.preferredTiers = [];
+        this.searchInputIds = ['productSearchInput', 'mobileProductSearch'];
         this.isInitialized = false;
     }
     
@@ -27,24 +30,27 @@ class ProductsApp {
             // Load data
             await this.loadData();
             
+            // Setup search manager (the filter manager ranks text search with its index)
+            await searchManager.initSearch(this.productsData.all, 'products');
+            
             // Setup filter manager
-            filterManager.initFromURL();
+            this.preferredTiers = settingsManager.get('preferredTiers');
+            filterManager.initFromURL({ tier: this.preferredTiers });
             filterManager.setData(this.productsData.all);
             
-            // Setup search manager
-            searchManager.initSearch(this.productsData.all, 'products');
-            
             // Setup UI
             this.setupFilters();
             this.setupSearch();
             this.setupSorting();
             this.setupPriceFilter();
             this.setupDiscountFilter();
+            this.renderFilterControls();
             this.renderInitialData();
             
             // Subscribe to changes
             filterManager.subscribe(() => this.onFilterChange());
-            searchManager.subscribe(() => this.onSearchChange());
+            settingsManager.subscribe(() => this.onSettingsChange());
+            csvHandler.subscribe((updates) => this.onDataUpdate(updates));
             
             this.isInitialized = true;
             console.log('[ProductsApp] Initialized successfully');
@@ -55,14 +61,19 @@ class ProductsApp {
     }
     
     /**
-     * Load CSV data
+     * Load catalog data
      */
     async loadData() {
         console.log('[ProductsApp] Loading products data...');
         
         try {
-            const productsRaw = await csvHandler.loadCSV(CONFIG.api.endpoints.products);
-            this.productsData = csvHandler.processProductData(productsRaw);
+            const [shopsRaw, productsRaw] = await Promise.all([
+                csvHandler.loadData(CONFIG.api.endpoints.shops),
+                csvHandler.loadData(CONFIG.api.endpoints.products)
+            ]);
+            
+            this.shopsData = csvHandler.processShopData(shopsRaw);
+            this.productsData = csvHandler.processProductData(productsRaw, this.shopsData);
             
             console.log('[ProductsApp] Products data loaded:', this.productsData.all.length);
         } catch (error) {
@@ -72,50 +83,62 @@ class ProductsApp {
     }
     
     /**
-     * Setup category filters
+     * Setup category and tier filters
      */
     setupFilters() {
-        // Category filters
-        const categoryButtons = document.querySelectorAll('[data-category-filter]');
-        categoryButtons.forEach(btn => {
-            btn.addEventListener('click', () => {
-                categoryButtons.forEach(b => b.classList.remove('active'));
-                btn.classList.add('active');
-                
-                const category = btn.dataset.categoryFilter;
-                filterManager.setCategory(category);
-            });
-        });
-        
-        // Tier filters
-        const tierButtons = document.querySelectorAll('[data-tier-filter]');
-        tierButtons.forEach(btn => {
-            btn.addEventListener('click', () => {
-                tierButtons.forEach(b => b.classList.remove('active'));
-                btn.classList.add('active');
-                
-                const tier = btn.dataset.tierFilter;
-                filterManager.setTier(tier);
-            });
+        // Category / tier chips ([data-filter-chips="category|tier"]) toggle facet values
+        document.querySelectorAll('[data-filter-chips]').forEach(container => {
+            renderManager.bindFilterChips(container, container.dataset.filterChips);
         });
         
         // Reset filters button
         const resetBtn = document.getElementById('resetFilters');
         if (resetBtn) {
-            resetBtn.addEventListener('click', () => {
-                filterManager.resetFilters();
-                categoryButtons.forEach(b => b.classList.remove('active'));
-                tierButtons.forEach(b => b.classList.remove('active'));
-                document.querySelector('[data-category-filter="all"]')?.classList.add('active');
-                document.querySelector('[data-tier-filter="all"]')?.classList.add('active');
-            });
+            resetBtn.addEventListener('click', () => this.resetFilters());
         }
     }
     
+    /**
+     * Render filter chips and filter options with live result counts
+     */
+    renderFilterControls() {
+        const filters = filterManager.activeFilters;
+        const counts = filterManager.getFacetCounts();
+        
+        document.querySelectorAll('[data-filter-chips]').forEach(container => {
+            const facet = container.dataset.filterChips;
+            renderManager.renderFilterChips(container, facet, filters[facet], counts[facet]);
+        });
+        
+        const priceRange = CONFIG.priceRanges.find(range => range.min === filters.minPrice && range.max === filters.maxPrice);
+        renderManager.renderFilterOptions(
+            document.getElementById('priceFilter'),
+            CONFIG.priceRanges,
+            counts.price,
+            priceRange ? priceRange.value : 'all'
+        );
+        
+        const discountThreshold = CONFIG.discountThresholds.find(threshold => threshold.min === filters.minDiscount);
+        renderManager.renderFilterOptions(
+            document.getElementById('discountFilter'),
+            CONFIG.discountThresholds,
+            counts.discount,
+            discountThreshold ? discountThreshold.value : 'all'
+        );
+    }
+    
     /**
      * Setup price range filter
      */
     setupPriceFilter() {
+        const priceSelect = document.getElementById('priceFilter');
+        if (priceSelect) {
+            priceSelect.addEventListener('change', (e) => {
+                const range = CONFIG.priceRanges.find(r => r.value === e.target.value) || CONFIG.priceRanges[0];
+                filterManager.setPriceRange(range.min, range.max);
+            });
+        }
+        
         const minPriceInput = document.getElementById('minPriceInput');
         const maxPriceInput = document.getElementById('maxPriceInput');
         const priceApplyBtn = document.getElementById('priceApplyBtn');
@@ -138,6 +161,14 @@ class ProductsApp {
      * Setup discount filter
      */
     setupDiscountFilter() {
+        const discountSelect = document.getElementById('discountFilter');
+        if (discountSelect) {
+            discountSelect.addEventListener('change', (e) => {
+                const threshold = CONFIG.discountThresholds.find(t => t.value === e.target.value) || CONFIG.discountThresholds[0];
+                filterManager.setMinDiscount(threshold.min);
+            });
+        }
+        
         const discountButtons = document.querySelectorAll('[data-discount-filter]');
         
         discountButtons.forEach(btn => {
@@ -153,31 +184,58 @@ class ProductsApp {
     
     /**
      * Setup search functionality
+     * Typing filters the grid; the dropdown suggests products, shops and categories.
      */
     setupSearch() {
-        const searchInput = document.getElementById('productsSearchInput');
+        searchAutocomplete.setData({
+            products: this.productsData.all,
+            shops: this.shopsData.all
+        }).catch(error => {
+            console.error('[ProductsApp] Search suggestions unavailable:', error);
+        });
         
-        if (searchInput) {
-            searchInput.addEventListener('input', (e) => {
-                const query = e.target.value;
-                
-                if (query.length >= CONFIG.search.minQueryLength) {
-                    searchManager.search(query);
-                } else if (query.length === 0) {
-                    searchManager.clearResults();
-                    this.renderInitialData();
-                }
+        this.searchInputIds.forEach(id => {
+            const searchInput = document.getElementById(id);
+            if (!searchInput) return;
+            
+            searchInput.value = filterManager.activeFilters.searchQuery;
+            searchInput.addEventListener('input', Utils.debounce((e) => {
+                this.applySearch(e.target.value.trim());
+            }, CONFIG.search.debounceDelay));
+            
+            searchAutocomplete.attach(searchInput, {
+                onSubmit: (query) => this.applySearch(query)
             });
+        });
+    }
+    
+    /**
+     * Apply a text search
+     * @param {string} query - Search query
+     */
+    applySearch(query) {
+        const sortSelect = document.getElementById('sortFilter');
+        
+        // A new search starts ranked by relevance
+        if (query && !filterManager.activeFilters.searchQuery && sortSelect) {
+            sortSelect.value = 'relevance';
         }
+        
+        // Search composes with the active filters, sort and pagination
+        filterManager.setSearchQuery(query);
     }
     
     /**
      * Setup sorting
      */
     setupSorting() {
-        const sortSelect = document.getElementById('productsSortSelect');
+        const sortSelect = document.getElementById('sortFilter');
         
         if (sortSelect) {
+            sortSelect.innerHTML = CONFIG.sortOptions.products.map(option => `
+                <option value="${option.value}">${option.label}</option>
+            `).join('');
+            sortSelect.value = filterManager.activeFilters.searchQuery ? 'relevance' : settingsManager.get('productSort');
             sortSelect.addEventListener('change', (e) => {
                 const sortBy = e.target.value;
                 this.renderProductsWithSort(sortBy);
@@ -185,20 +243,92 @@ class ProductsApp {
         }
     }
     
+    /**
+     * Get the page size from user settings
+     * @returns {number} Products per page
+     */
+    getPageSize() {
+        return settingsManager.get('productsPerPage');
+    }
+    
+    /**
+     * Get the active sort (sort select, else the user's default)
+     * @returns {string} Sort key
+     */
+    getCurrentSort() {
+        return document.getElementById('sortFilter')?.value || settingsManager.get('productSort');
+    }
+    
+    /**
+     * Get the filtered products in display order
+     * @param {string} sortBy - Sort key
+     * @returns {Array} Products
+     */
+    getSortedProducts(sortBy = this.getCurrentSort()) {
+        return filterManager.getSortedData(
+            sortBy,
+            (products, key) => csvHandler.sortProducts(products, key),
+            settingsManager.get('productSort')
+        );
+    }
+    
+    /**
+     * Get the tracking section of the grid
+     * @returns {string} Section name
+     */
+    getTrackSection() {
+        return filterManager.activeFilters.searchQuery ? 'search-results' : 'products-grid';
+    }
+    
     /**
      * Render initial data
      */
     renderInitialData() {
         const container = document.getElementById('productsContainer');
-        const paginationContainer = document.getElementById('productsPagination');
-        const stats = document.getElementById('productsStats');
         
         if (!container) return;
         
-        const filteredProducts = filterManager.getFilteredData();
+        this.renderStats();
+        
+        // Shared links may point at a later page (?page=)
+        const page = parseInt(Utils.getQueryParams().page, 10) || 1;
+        this.renderProductsPage(this.getSortedProducts(), page);
+    }
+    
+    /**
+     * Render a page of products with pagination
+     * The page is kept in the URL (?page=), page 1 is left out.
+     * @param {Array} products - Products to render
+     * @param {number} page - Page number (clamped to the available pages)
+     */
+    renderProductsPage(products, page = 1) {
+        const container = document.getElementById('productsContainer');
+        const paginationContainer = document.getElementById('productsPagination');
+        const pageSize = this.getPageSize();
+        const current = Math.min(Math.max(1, page), Math.max(1, Math.ceil(products.length / pageSize)));
+        
+        container.dataset.trackSection = this.getTrackSection();
+        renderManager.renderProductsGrid(products, container, pageSize, current);
+        
+        if (paginationContainer) {
+            renderManager.renderPagination(
+                paginationContainer,
+                current,
+                renderManager.totalPages,
+                (newPage) => this.onPageChange(newPage, products)
+            );
+        }
+        
+        Utils.updateQueryParams({ page: current > 1 ? current : null }, true);
+    }
+    
+    /**
+     * Render result count and applied filters
+     */
+    renderStats() {
+        const stats = document.getElementById('productsStats');
         const statistics = filterManager.getStatistics();
         
-        // Update statistics
         if (stats) {
             stats.innerHTML = `
                 <div class="flex flex-col md:flex-row md:items-center md:justify-between space-y-4 md:space-y-0">
@@ -224,25 +354,9 @@ class ProductsApp {
             // Re-attach reset button listener
             const resetBtn = document.getElementById('resetFilters');
             if (resetBtn) {
-                resetBtn.addEventListener('click', () => {
-                    filterManager.resetFilters();
-                    this.renderInitialData();
-                });
+                resetBtn.addEventListener('click', () => this.resetFilters());
             }
         }
-        
-        // Render products
-        renderManager.renderProductsGrid(filteredProducts, container);
-        
-        // Render pagination
-        if (paginationContainer) {
-            renderManager.renderPagination(
-                paginationContainer,
-                renderManager.currentPage,
-                renderManager.totalPages,
-                (page) => this.onPageChange(page, filteredProducts)
-            );
-        }
     }
     
     /**
@@ -250,41 +364,18 @@ class ProductsApp {
      */
     renderProductsWithSort(sortBy) {
         const container = document.getElementById('productsContainer');
-        const paginationContainer = document.getElementById('productsPagination');
         
         if (!container) return;
         
-        let filteredProducts = filterManager.getFilteredData();
-        const sorted = csvHandler.sortProducts(filteredProducts, sortBy);
-        
-        renderManager.renderProductsGrid(sorted, container);
-        
-        if (paginationContainer) {
-            renderManager.renderPagination(
-                paginationContainer,
-                renderManager.currentPage,
-                renderManager.totalPages,
-                (page) => this.onPageChange(page, sorted)
-            );
-        }
+        this.renderStats();
+        this.renderProductsPage(this.getSortedProducts(sortBy));
     }
     
     /**
      * On page change
      */
     onPageChange(page, products) {
-        renderManager.renderProductsGrid(products, document.getElementById('productsContainer'), CONFIG.pagination.itemsPerPage, page);
-        
-        const paginationContainer = document.getElementById('productsPagination');
-        if (paginationContainer) {
-            renderManager.renderPagination(
-                paginationContainer,
-                page,
-                renderManager.totalPages,
-                (newPage) => this.onPageChange(newPage, products)
-            );
-        }
-        
+        this.renderProductsPage(products, page);
         Utils.scrollToElement('#productsContainer', 100);
     }
     
@@ -292,46 +383,88 @@ class ProductsApp {
      * On filter change
      */
     onFilterChange() {
-        const currentSort = document.getElementById('productsSortSelect')?.value || 'sold-desc';
-        this.renderProductsWithSort(currentSort);
+        this.renderFilterControls();
+        this.renderProductsWithSort(this.getCurrentSort());
         
-        // Scroll to results
-        Utils.scrollToElement('#productsContainer', 100);
+        // Scroll to results, but not away from a search being typed
+        if (!this.searchInputIds.includes(document.activeElement?.id)) {
+            Utils.scrollToElement('#productsContainer', 100);
+        }
     }
     
     /**
-     * On search change
+     * Reset filters and their controls
      */
-    onSearchChange() {
-        const container = document.getElementById('productsContainer');
-        const paginationContainer = document.getElementById('productsPagination');
-        const results = searchManager.getResults();
+    resetFilters() {
+        this.searchInputIds.forEach(id => {
+            const searchInput = document.getElementById(id);
+            if (searchInput) searchInput.value = '';
+        });
         
-        if (results.length === 0) {
-            if (container) {
-                container.innerHTML = `
-                    <div class="col-span-full text-center py-12">
-                        <div class="text-6xl mb-4">🔍</div>
-                        <h3 class="text-lg font-semibold text-gray-700 mb-2">Không tìm thấy sản phẩm</h3>
-                        <p class="text-gray-500">Thử tìm kiếm với từ khóa khác</p>
-                    </div>
-                `;
-            }
-            if (paginationContainer) {
-                paginationContainer.innerHTML = '';
+        // Relevance only ranks a search
+        const sortSelect = document.getElementById('sortFilter');
+        if (sortSelect && sortSelect.value === 'relevance') {
+            sortSelect.value = settingsManager.get('productSort');
+        }
+        
+        filterManager.resetFilters();
+    }
+    
+    /**
+     * On settings change
+     */
+    onSettingsChange() {
+        // A changed tier preference replaces the tier filter
+        const preferredTiers = settingsManager.get('preferredTiers');
+        if (preferredTiers.join(',') !== this.preferredTiers.join(',')) {
+            this.preferredTiers = preferredTiers;
+            filterManager.setTier(preferredTiers);
+        }
+        
+        const sortSelect = document.getElementById('sortFilter');
+        if (sortSelect && sortSelect.value !== 'relevance') {
+            sortSelect.value = settingsManager.get('productSort');
+        }
+        
+        this.renderProductsWithSort(this.getCurrentSort());
+    }
+    
+    /**
+     * On fresh catalog data
+     * A cached catalog was revalidated in the background: re-process what
+     * changed, re-index and re-render, keeping the visitor's filters, sort
+     * and page.
+     * @param {Array} updates - Batch from csvHandler.subscribe
+     */
+    async onDataUpdate(updates) {
+        const updated = csvHandler.getUpdatedEndpoints(updates);
+        if (!updated.has('shops') && !updated.has('products')) return;
+        
+        try {
+            if (updated.has('shops')) {
+                this.shopsData = csvHandler.processShopData(await csvHandler.loadData(CONFIG.api.endpoints.shops));
             }
-        } else {
-            const products = results.map(r => r.originalData);
-            renderManager.renderProductsGrid(products, container);
             
-            if (paginationContainer) {
-                renderManager.renderPagination(
-                    paginationContainer,
-                    renderManager.currentPage,
-                    renderManager.totalPages,
-                    (page) => this.onPageChange(page, products)
-                );
-            }
+            // Products join shops, so either change re-processes them
+            this.productsData = csvHandler.processProductData(
+                await csvHandler.loadData(CONFIG.api.endpoints.products),
+                this.shopsData
+            );
+            
+            await searchManager.initSearch(this.productsData.all, 'products');
+            filterManager.setData(this.productsData.all);
+            
+            searchAutocomplete.setData({
+                products: this.productsData.all,
+                shops: this.shopsData.all
+            }).catch(error => {
+                console.error('[ProductsApp] Search suggestions unavailable:', error);
+            });
+            
+            this.renderFilterControls();
+            this.renderInitialData();
+        } catch (error) {
+            console.error('[ProductsApp] Error refreshing data:', error);
         }
     }
     
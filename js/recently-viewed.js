@@ -0,0 +1,105 @@
+/**
+ * ============================================
+ * RECENTLY-VIEWED.JS - Shopee Affiliate Hub
+ * Recently viewed products history
+ * Version: 1.0.0
+ * ============================================
+ */
+
+'use strict';
+
+/**
+ * Recently Viewed Store Class
+ * Keeps a de-duplicated, newest-first list of { id, viewedAt } under
+ * CONFIG.storage.keys.viewedProducts, capped at CONFIG.recentlyViewed.maxItems.
+ */
+class RecentlyViewedStore {
+    constructor() {
+        this.listeners = [];
+    }
+    
+    /**
+     * Get the view history
+     * @returns {Array} Entries ({ id, viewedAt }), newest first
+     */
+    getAll() {
+        const history = Utils.getStorage(CONFIG.storage.keys.viewedProducts);
+        return Array.isArray(history) ? history : [];
+    }
+    
+    /**
+     * Record a product view
+     * @param {string} productId - Product id
+     */
+    record(productId) {
+        if (!productId) return;
+        
+        const history = this.getAll().filter(entry => entry.id !== productId);
+        history.unshift({ id: productId, viewedAt: Date.now() });
+        
+        Utils.setStorage(
+            CONFIG.storage.keys.viewedProducts,
+            history.slice(0, CONFIG.recentlyViewed.maxItems)
+        );
+        this.notifyListeners();
+    }
+    
+    /**
+     * Clear the history
+     */
+    clear() {
+        Utils.removeStorage(CONFIG.storage.keys.viewedProducts);
+        this.notifyListeners();
+    }
+    
+    /**
+     * Resolve the history against loaded products
+     * Ids no longer in the catalog are skipped.
+     * @param {Array} products - Normalized products
+     * @param {number} limit - Maximum products returned
+     * @returns {Array} Products, most recently viewed first
+     */
+    getProducts(products, limit = CONFIG.recentlyViewed.railSize) {
+        const byId = new Map(products.map(product => [product.id, product]));
+        
+        return this.getAll()
+            .map(entry => byId.get(entry.id))
+            .filter(Boolean)
+            .slice(0, limit);
+    }
+    
+    /**
+     * Subscribe to history changes
+     * @param {Function} callback - Callback function
+     * @returns {Function} Unsubscribe function
+     */
+    subscribe(callback) {
+        this.listeners.push(callback);
+        return () => {
+            this.listeners = this.listeners.filter(cb => cb !== callback);
+        };
+    }
+    
+    /**
+     * Notify all listeners
+     */
+    notifyListeners() {
+        const history = this.getAll();
+        
+        this.listeners.forEach(callback => {
+            try {
+                callback(history);
+            } catch (error) {
+                console.error('[RecentlyViewedStore] Listener error:', error);
+            }
+        });
+    }
+}
+
+// Create global instance
+const recentlyViewed = new RecentlyViewedStore();
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RecentlyViewedStore;
+}
\ No newline at end of file
@@ -16,6 +16,9 @@ class RenderManager {
         this.defaultProductsPerPage = CONFIG.pagination.itemsPerPage;
         this.currentPage = 1;
         this.totalPages = 1;
+        
+        // Keep every heart on the page in sync, whichever card was clicked
+        favoritesStore.subscribe(() => this.updateFavoriteButtons());
     }
     
     // ===== PRODUCT RENDERING =====
@@ -23,16 +26,23 @@ class RenderManager {
     /**
      * Render product card
      * @param {Object} product - Product data
+     * @param {string} placement - Page section, for link attribution
+     * @param {Object} options - { outbound: true } links straight to Shopee instead of the detail page,
+     *                            { catalogProduct } is the product the card was derived from (saved by the heart)
      * @returns {HTMLElement} Product card element
      */
-    renderProductCard(product) {
+    renderProductCard(product, placement = null, options = {}) {
         const tierConfig = CONFIG.tiers[product.tier] || CONFIG.tiers.n3;
         const discount = Math.round(product.discount);
+        const priceDrop = favoritesStore.getPriceDrop(product);
+        const link = options.outbound
+            ? `href="${Utils.escapeHtml(linkBuilder.build(product.link, placement, product))}" target="_blank" rel="noopener sponsored" data-track-target="outbound"`
+            : `href="${Utils.escapeHtml(linkBuilder.buildDetailUrl('product.html', product.id, placement))}"`;
         
         const card = document.createElement('div');
-        card.className = 'product-card group';
+        card.className = 'product-card group relative';
         card.innerHTML = `
-            <a href="${Utils.escapeHtml(product.link)}" target="_blank" rel="noopener" class="product-link block relative overflow-hidden rounded-xl bg-white shadow-md hover:shadow-xl transition-all group-hover:scale-105">
+            <a ${link} data-track="product" data-track-id="${Utils.escapeHtml(product.id)}" class="product-link block relative overflow-hidden rounded-xl bg-white shadow-md hover:shadow-xl transition-all group-hover:scale-105">
                 <!-- Product Image -->
                 <div class="relative aspect-square overflow-hidden bg-gray-100">
                     <img src="${Utils.escapeHtml(product.image)}" 
@@ -75,32 +85,68 @@ class RenderManager {
                     
                     <!-- Rating -->
                     <div class="flex items-center mb-2">
-                        <div class="flex items-center text-yellow-400 text-xs">
-                            ${'⭐'.repeat(Math.floor(product.rating))}
-                            <span class="text-gray-500 ml-1">${product.rating}</span>
-                        </div>
+                        ${product.rating !== null && product.rating !== undefined ? `
+                            <div class="flex items-center text-yellow-400 text-xs">
+                                ${'⭐'.repeat(Math.floor(product.rating))}
+                                <span class="text-gray-500 ml-1">${product.rating.toFixed(1)}</span>
+                                ${product.ratingCount > 0 ? `
+                                    <span class="text-gray-400 ml-1">(${Utils.formatSoldCount(product.ratingCount)})</span>
+                                ` : ''}
+                            </div>
+                        ` : `
+                            <span class="text-gray-400 text-xs">Chưa có đánh giá</span>
+                        `}
                     </div>
                     
-                    <!-- Price -->
-                    <div class="flex items-end space-x-2 mb-2">
-                        <span class="text-shopee-500 font-bold text-lg">
-                            ${Utils.formatCurrency(product.salePrice)}
-                        </span>
-                        ${product.discount > 0 ? `
-                            <span class="text-gray-400 line-through text-xs">
-                                ${Utils.formatCurrency(product.originalPrice)}
+                    <!-- Price (a range starts at the cheapest variant, whose original price is struck through) -->
+                    <div class="mb-2">
+                        <div class="flex items-end space-x-2">
+                            <span class="text-shopee-500 font-bold text-lg">
+                                ${product.hasPriceRange ? 'Từ ' : ''}${Utils.formatCurrency(product.salePrice)}
                             </span>
+                            ${product.discount > 0 ? `
+                                <span class="text-gray-400 line-through text-xs">
+                                    ${Utils.formatCurrency(product.originalPrice)}
+                                </span>
+                            ` : ''}
+                        </div>
+                        ${product.hasPriceRange ? `
+                            <div class="text-gray-500 text-xs">
+                                đến ${Utils.formatCurrency(product.maxPrice)}
+                            </div>
                         ` : ''}
                     </div>
                     
+                    <!-- Variants -->
+                    ${product.variants && product.variants.length > 0 ? `
+                        <div class="text-gray-500 text-xs mb-1">
+                            ${product.variants.length} phân loại${product.inStock ? '' : ' · <span class="text-red-500 font-semibold">Hết hàng</span>'}
+                        </div>
+                    ` : ''}
+                    
+                    <!-- Price Drop (favorites) -->
+                    ${priceDrop ? `
+                        <div class="text-green-600 text-xs font-semibold mb-1">
+                            📉 Rẻ hơn ${Utils.formatCurrency(priceDrop.amount)} so với lúc lưu
+                        </div>
+                    ` : ''}
+                    
                     <!-- Sold Count -->
                     <div class="text-gray-600 text-xs">
                         Đã bán: ${Utils.formatSoldCount(product.soldCount)}
                     </div>
                 </div>
             </a>
+            
+            <!-- Favorite Toggle (over the image, outside the link) -->
+            <div class="absolute inset-x-0 top-0 aspect-square pointer-events-none">
+                <div class="absolute bottom-2 left-2 pointer-events-auto">
+                    ${this.renderFavoriteButton('products', product.id)}
+                </div>
+            </div>
         `;
         
+        this.bindFavoriteButton(card, 'products', options.catalogProduct || product);
         return card;
     }
     
@@ -131,8 +177,9 @@ class RenderManager {
         const endIdx = startIdx + itemsPerPage;
         const pageItems = products.slice(startIdx, endIdx);
         
-        pageItems.forEach(product => {
-            const card = this.renderProductCard(product);
+        pageItems.forEach((product, index) => {
+            const card = this.renderProductCard(product, container.dataset.trackSection);
+            card.dataset.trackPosition = startIdx + index + 1;
             container.appendChild(card);
         });
         
@@ -145,11 +192,13 @@ class RenderManager {
     /**
      * Render shop card
      * @param {Object} shop - Shop data
+     * @param {string} placement - Page section, for link attribution
      * @returns {HTMLElement} Shop card element
      */
-    renderShopCard(shop) {
+    renderShopCard(shop, placement = null) {
         const tierConfig = CONFIG.tiers[shop.tier] || CONFIG.tiers.n3;
         const ratingDisplay = Math.round(shop.rating * 10) / 10;
+        const detailUrl = Utils.escapeHtml(linkBuilder.buildDetailUrl('shop.html', shop.id, placement));
         
         const card = document.createElement('div');
         card.className = 'shop-card group';
@@ -157,18 +206,20 @@ class RenderManager {
             <div class="bg-white rounded-xl shadow-md hover:shadow-lg transition-all p-4">
                 <div class="flex items-center mb-4">
                     <!-- Shop Logo -->
-                    <div class="flex-shrink-0 mr-4">
+                    <a href="${detailUrl}" data-track="shop" data-track-id="${Utils.escapeHtml(shop.id)}" class="flex-shrink-0 mr-4">
                         <img src="${Utils.escapeHtml(shop.logo)}" 
                              alt="${Utils.escapeHtml(shop.name)}" 
                              class="w-16 h-16 rounded-full object-cover border-2 border-gray-200"
                              onerror="this.src='${CONFIG.defaultImages.shop}'">
-                    </div>
+                    </a>
                     
                     <!-- Shop Info -->
                     <div class="flex-1 min-w-0">
                         <h3 class="font-bold text-gray-800 truncate">
-                            ${Utils.escapeHtml(shop.name)}
-                            ${shop.verified ? '✓' : ''}
+                            <a href="${detailUrl}" data-track="shop" data-track-id="${Utils.escapeHtml(shop.id)}" class="hover:text-shopee-500">
+                                ${Utils.escapeHtml(shop.name)}
+                                ${shop.verified ? '✓' : ''}
+                            </a>
                         </h3>
                         <p class="text-sm text-gray-600">${Utils.escapeHtml(shop.type)}</p>
                         
@@ -192,18 +243,26 @@ class RenderManager {
                 <div class="text-xs text-gray-600 mb-3 space-y-1">
                     <div>📍 ${Utils.escapeHtml(shop.category || 'Đa dạng')}</div>
                     ${shop.followers > 0 ? `<div>👥 ${Utils.formatNumber(shop.followers)} người theo dõi</div>` : ''}
+                    ${shop.productCount > 0 ? `<div>🛍️ ${shop.productCount} sản phẩm trên Shopee Hub</div>` : ''}
                 </div>
                 
                 <!-- CTA Button -->
-                <a href="${Utils.escapeHtml(shop.link)}" 
-                   target="_blank" 
-                   rel="noopener"
-                   class="w-full py-2 bg-shopee-500 text-white font-semibold rounded-lg hover:bg-shopee-600 transition-colors text-center text-sm">
-                    Ghé Shop Ngay
-                </a>
+                <div class="flex items-center space-x-2">
+                    <a href="${Utils.escapeHtml(linkBuilder.build(shop.link, placement, shop))}" 
+                       target="_blank" 
+                       rel="noopener"
+                       data-track="shop"
+                       data-track-id="${Utils.escapeHtml(shop.id)}"
+                       data-track-target="outbound"
+                       class="flex-1 py-2 bg-shopee-500 text-white font-semibold rounded-lg hover:bg-shopee-600 transition-colors text-center text-sm">
+                        Ghé Shop Ngay
+                    </a>
+                    ${this.renderFavoriteButton('shops', shop.id)}
+                </div>
             </div>
         `;
         
+        this.bindFavoriteButton(card, 'shops', shop);
         return card;
     }
     
@@ -234,8 +293,9 @@ class RenderManager {
         const endIdx = startIdx + itemsPerPage;
         const pageItems = shops.slice(startIdx, endIdx);
         
-        pageItems.forEach(shop => {
-            const card = this.renderShopCard(shop);
+        pageItems.forEach((shop, index) => {
+            const card = this.renderShopCard(shop, container.dataset.trackSection);
+            card.dataset.trackPosition = startIdx + index + 1;
             container.appendChild(card);
         });
         
@@ -243,6 +303,374 @@ class RenderManager {
         this.totalPages = Math.ceil(shops.length / itemsPerPage);
     }
     
+    // ===== FAVORITES RENDERING =====
+    
+    /**
+     * Render a favorite (heart) toggle button
+     * @param {string} type - 'products' or 'shops'
+     * @param {string} id - Item id
+     * @returns {string} Button HTML
+     */
+    renderFavoriteButton(type, id) {
+        const active = favoritesStore.isFavorite(type, id);
+        
+        return `
+            <button type="button" 
+                    data-favorite-toggle="${type}"
+                    data-favorite-id="${Utils.escapeHtml(id)}"
+                    aria-pressed="${active}"
+                    title="${active ? 'Bỏ yêu thích' : 'Thêm vào yêu thích'}"
+                    class="w-9 h-9 flex items-center justify-center rounded-full bg-white/90 shadow hover:scale-110 transition-transform ${active ? 'text-red-500' : 'text-gray-400'}">
+                <svg class="w-5 h-5" fill="${active ? 'currentColor' : 'none'}" stroke="currentColor" viewBox="0 0 24 24">
+                    <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M4.318 6.318a4.5 4.5 0 000 6.364L12 20.364l7.682-7.682a4.5 4.5 0 00-6.364-6.364L12 7.636l-1.318-1.318a4.5 4.5 0 00-6.364 0z"></path>
+                </svg>
+            </button>
+        `;
+    }
+    
+    /**
+     * Wire the favorite button of a card
+     * @param {HTMLElement} card - Card element
+     * @param {string} type - 'products' or 'shops'
+     * @param {Object} item - Product or shop data
+     */
+    bindFavoriteButton(card, type, item) {
+        const button = card.querySelector('[data-favorite-toggle]');
+        if (!button) return;
+        
+        button.addEventListener('click', () => {
+            // The store notifies updateFavoriteButtons, which restyles this button
+            const active = favoritesStore.toggle(type, item);
+            
+            this.showToast(active ? 'Đã thêm vào yêu thích' : 'Đã bỏ khỏi yêu thích', active ? 'success' : 'info');
+        });
+    }
+    
+    /**
+     * Restyle every favorite button on the page to match the store
+     */
+    updateFavoriteButtons() {
+        document.querySelectorAll('[data-favorite-toggle]').forEach(button => {
+            const active = favoritesStore.isFavorite(button.dataset.favoriteToggle, button.dataset.favoriteId);
+            
+            button.setAttribute('aria-pressed', active);
+            button.title = active ? 'Bỏ yêu thích' : 'Thêm vào yêu thích';
+            button.classList.toggle('text-red-500', active);
+            button.classList.toggle('text-gray-400', !active);
+            button.querySelector('svg').setAttribute('fill', active ? 'currentColor' : 'none');
+        });
+    }
+    
+    // ===== VOUCHER RENDERING =====
+    
+    /**
+     * Render voucher card
+     * @param {Object} voucher - Voucher data
+     * @returns {HTMLElement} Voucher card element
+     */
+    renderVoucherCard(voucher) {
+        const typeConfig = CONFIG.vouchers.types[voucher.type] || CONFIG.vouchers.types.amount;
+        const { badge, title } = this.getVoucherLabels(voucher);
+        
+        let scope = 'Toàn sàn';
+        if (voucher.shop) {
+            scope = `Shop ${voucher.shop.name}`;
+        } else if (CONFIG.categories[voucher.category]) {
+            scope = `Ngành hàng ${CONFIG.categories[voucher.category].name}`;
+        }
+        
+        const card = document.createElement('div');
+        card.className = 'voucher-card group';
+        card.dataset.voucherId = voucher.id;
+        card.dataset.expiresAt = voucher.expiresAt.toISOString();
+        card.innerHTML = `
+            <div class="bg-gradient-to-r ${typeConfig.gradient} rounded-xl p-4 relative overflow-hidden">
+                <div class="absolute top-0 right-0 w-20 h-20 bg-white/10 rounded-full -translate-y-1/2 translate-x-1/2"></div>
+                <div class="absolute bottom-0 left-0 w-16 h-16 bg-white/10 rounded-full translate-y-1/2 -translate-x-1/2"></div>
+                
+                <div class="relative flex items-center">
+                    <div class="flex-shrink-0 w-16 h-16 bg-white rounded-lg flex items-center justify-center mr-4">
+                        <span class="${typeConfig.textClass} font-bold text-lg">${badge}</span>
+                    </div>
+                    <div class="flex-1 min-w-0 text-white">
+                        <p class="font-bold text-lg truncate">${title}</p>
+                        <p class="text-sm text-white/80">Đơn tối thiểu ${Utils.formatCurrency(voucher.minSpend)}</p>
+                        <p class="text-xs text-white/80 truncate">${Utils.escapeHtml(scope)}</p>
+                        <p class="text-xs text-white/60 mt-1" data-voucher-expiry>${this.formatVoucherExpiry(voucher.expiresAt)}</p>
+                    </div>
+                    <button type="button" 
+                            class="voucher-copy-btn flex-shrink-0 ml-2 px-3 py-2 bg-white ${typeConfig.textClass} font-semibold rounded-lg hover:bg-gray-100 transition-colors text-sm text-center"
+                            title="Sao chép mã ${Utils.escapeHtml(voucher.code)}">
+                        <span class="block font-mono text-xs">${Utils.escapeHtml(voucher.code)}</span>
+                        <span class="block" data-copy-label>Sao chép</span>
+                    </button>
+                </div>
+            </div>
+        `;
+        
+        const copyBtn = card.querySelector('.voucher-copy-btn');
+        copyBtn.addEventListener('click', async () => {
+            const copied = await Utils.copyToClipboard(voucher.code);
+            
+            if (copied) {
+                copyBtn.querySelector('[data-copy-label]').textContent = 'Đã chép';
+                this.showToast(`Đã sao chép mã ${voucher.code}`, 'success');
+            } else {
+                this.showToast('Không thể sao chép mã, vui lòng chép thủ công', 'error');
+            }
+        });
+        
+        return card;
+    }
+    
+    /**
+     * Get the badge and headline text of a voucher
+     * @param {Object} voucher - Voucher data
+     * @returns {Object} { badge, title }
+     */
+    getVoucherLabels(voucher) {
+        switch (voucher.type) {
+            case 'percent':
+                return {
+                    badge: `${voucher.value}%`,
+                    title: `Giảm ${voucher.value}%${voucher.maxDiscount > 0 ? ` tối đa ${Utils.formatCurrency(voucher.maxDiscount)}` : ''}`
+                };
+            
+            case 'freeship':
+                return {
+                    badge: 'FREE',
+                    title: voucher.value > 0 ? `Giảm ${Utils.formatCurrency(voucher.value)} phí ship` : 'Miễn phí Ship'
+                };
+            
+            case 'amount':
+            default:
+                return {
+                    badge: voucher.value >= 1000 ? `${Math.round(voucher.value / 1000)}K` : Utils.formatCurrency(voucher.value),
+                    title: `Giảm ${Utils.formatCurrency(voucher.value)}`
+                };
+        }
+    }
+    
+    /**
+     * Format voucher expiry
+     * Shows a countdown during the last CONFIG.vouchers.expiringSoon ms.
+     * @param {Date} expiresAt - Expiry date
+     * @returns {string} Expiry text
+     */
+    formatVoucherExpiry(expiresAt) {
+        const remaining = expiresAt - new Date();
+        
+        if (remaining <= 0) {
+            return 'Đã hết hạn';
+        }
+        
+        if (remaining <= CONFIG.vouchers.expiringSoon) {
+            const time = Utils.getTimeRemaining(expiresAt);
+            return `Hết hạn sau ${Utils.padNumber(time.hours)}:${Utils.padNumber(time.minutes)}:${Utils.padNumber(time.seconds)}`;
+        }
+        
+        return `HSD: ${Utils.formatDate(expiresAt)}`;
+    }
+    
+    /**
+     * Render vouchers grid
+     * @param {Array} vouchers - Active vouchers to render
+     * @param {HTMLElement} container - Container element
+     * @param {number} limit - Maximum vouchers shown
+     */
+    renderVouchersGrid(vouchers, container, limit = CONFIG.vouchers.maxVisible) {
+        if (!container) return;
+        
+        container.innerHTML = '';
+        
+        vouchers.slice(0, limit).forEach(voucher => {
+            container.appendChild(this.renderVoucherCard(voucher));
+        });
+    }
+    
+    /**
+     * Refresh the expiry text of rendered voucher cards
+     * @param {HTMLElement} container - Container element
+     */
+    updateVoucherExpiry(container) {
+        if (!container) return;
+        
+        container.querySelectorAll('.voucher-card').forEach(card => {
+            const expiryEl = card.querySelector('[data-voucher-expiry]');
+            if (expiryEl) {
+                expiryEl.textContent = this.formatVoucherExpiry(new Date(card.dataset.expiresAt));
+            }
+        });
+    }
+    
+    // ===== PRICE HISTORY RENDERING =====
+    
+    /**
+     * Render a price history chart with lowest / highest / current summary
+     * @param {Array} points - Price points ({ date, price }), oldest first
+     * @param {HTMLElement} container - Container element
+     * @param {number} currentPrice - Current price, appended as the latest point
+     */
+    renderPriceHistory(points, container, currentPrice = null) {
+        if (!container) return;
+        
+        const history = [...points];
+        if (currentPrice && (history.length === 0 || history[history.length - 1].price !== currentPrice)) {
+            history.push({ date: new Date(), price: currentPrice });
+        }
+        
+        if (history.length < 2) {
+            container.innerHTML = '<p class="text-sm text-gray-500">Chưa có dữ liệu lịch sử giá cho sản phẩm này.</p>';
+            return;
+        }
+        
+        const prices = history.map(point => point.price);
+        const lowest = Math.min(...prices);
+        const highest = Math.max(...prices);
+        const latest = prices[prices.length - 1];
+        
+        // Chart coordinates: 300 x 100 with 10px padding
+        const width = 300;
+        const height = 100;
+        const pad = 10;
+        const span = highest - lowest || 1;
+        const coords = history.map((point, i) => ({
+            x: pad + (i / (history.length - 1)) * (width - pad * 2),
+            y: pad + (1 - (point.price - lowest) / span) * (height - pad * 2),
+            point: point
+        }));
+        
+        container.innerHTML = `
+            <svg viewBox="0 0 ${width} ${height}" class="w-full h-32" role="img" aria-label="Biểu đồ lịch sử giá">
+                <polyline fill="none" stroke="#ee4d2d" stroke-width="2" stroke-linejoin="round"
+                          points="${coords.map(c => `${c.x.toFixed(1)},${c.y.toFixed(1)}`).join(' ')}"></polyline>
+                ${coords.map(c => `
+                    <circle cx="${c.x.toFixed(1)}" cy="${c.y.toFixed(1)}" r="3" fill="#ee4d2d">
+                        <title>${Utils.formatDate(c.point.date)}: ${Utils.formatCurrency(c.point.price)}</title>
+                    </circle>
+                `).join('')}
+            </svg>
+            <div class="flex justify-between text-xs text-gray-400 mt-1">
+                <span>${Utils.formatDate(history[0].date)}</span>
+                <span>${Utils.formatDate(history[history.length - 1].date)}</span>
+            </div>
+            <div class="grid grid-cols-3 gap-2 mt-3 text-center text-sm">
+                <div>
+                    <div class="text-gray-500 text-xs">Thấp nhất</div>
+                    <div class="font-semibold text-green-600">${Utils.formatCurrency(lowest)}</div>
+                </div>
+                <div>
+                    <div class="text-gray-500 text-xs">Cao nhất</div>
+                    <div class="font-semibold text-gray-700">${Utils.formatCurrency(highest)}</div>
+                </div>
+                <div>
+                    <div class="text-gray-500 text-xs">Hiện tại</div>
+                    <div class="font-semibold text-shopee-500">${Utils.formatCurrency(latest)}</div>
+                </div>
+            </div>
+            ${latest <= lowest ? `
+                <p class="mt-3 text-sm text-green-600 font-semibold">🏷️ Đang ở mức giá thấp nhất từng ghi nhận</p>
+            ` : ''}
+        `;
+    }
+    
+    // ===== FILTER CHIP RENDERING =====
+    
+    /**
+     * Render toggle chips for a multi-value facet (CONFIG.categories or CONFIG.tiers)
+     * @param {HTMLElement} container - Container element
+     * @param {string} facet - Facet ('category' or 'tier')
+     * @param {Array} selected - Selected values (empty = all)
+     * @param {Object} counts - Optional result counts per value (FilterManager.getFacetCounts)
+     */
+    renderFilterChips(container, facet, selected, counts = null) {
+        if (!container) return;
+        
+        const source = facet === 'tier' ? CONFIG.tiers : CONFIG.categories;
+        const options = Object.entries(source).map(([value, item]) => ({
+            value: value,
+            label: facet === 'tier' ? item.label : `${item.icon} ${item.name}`
+        }));
+        
+        const chip = (value, label, active) => {
+            const count = counts ? counts[value] ?? 0 : null;
+            // Selected chips stay enabled so they can be switched off
+            const disabled = count === 0 && !active;
+            
+            return `
+                <button type="button"
+                        class="tier-filter-btn${active ? ' active' : ''}"
+                        data-facet-value="${Utils.escapeHtml(value)}"
+                        aria-pressed="${active}"
+                        ${disabled ? 'disabled' : ''}>
+                    ${Utils.escapeHtml(label)}
+                    ${count !== null ? `<span class="facet-count">${count}</span>` : ''}
+                </button>
+            `;
+        };
+        
+        container.innerHTML = chip('all', '🔥 Tất cả', selected.length === 0) +
+            options.map(option => chip(option.value, option.label, selected.includes(option.value))).join('');
+    }
+    
+    /**
+     * Render an on/off filter chip (e.g. verified shops only)
+     * @param {HTMLButtonElement} button - Chip button
+     * @param {string} label - Chip label
+     * @param {boolean} active - Whether the filter is on
+     * @param {number} count - Result count when switched on
+     */
+    renderFilterToggle(button, label, active, count) {
+        if (!button) return;
+        
+        button.classList.toggle('active', active);
+        button.setAttribute('aria-pressed', String(active));
+        button.disabled = count === 0 && !active;
+        button.innerHTML = `${Utils.escapeHtml(label)} <span class="facet-count">${count}</span>`;
+    }
+    
+    /**
+     * Render the options of a filter select with result counts
+     * Options without results are disabled, except the selected one.
+     * @param {HTMLSelectElement} select - Select element
+     * @param {Array} options - Options ({ value, label }, e.g. CONFIG.priceRanges)
+     * @param {Object} counts - Result counts per option value
+     * @param {string} selected - Selected value
+     */
+    renderFilterOptions(select, options, counts, selected) {
+        if (!select) return;
+        
+        select.innerHTML = options.map(option => {
+            const count = counts[option.value] ?? 0;
+            const disabled = count === 0 && option.value !== selected;
+            
+            return `<option value="${Utils.escapeHtml(option.value)}" ${disabled ? 'disabled' : ''}>${Utils.escapeHtml(option.label)} (${count})</option>`;
+        }).join('');
+        select.value = selected;
+    }
+    
+    /**
+     * Wire facet chips to the filter manager
+     * "Tất cả" clears the facet; any other chip toggles its value.
+     * @param {HTMLElement} container - Container rendered by renderFilterChips
+     * @param {string} facet - Facet ('category' or 'tier')
+     */
+    bindFilterChips(container, facet) {
+        if (!container) return;
+        
+        container.addEventListener('click', (e) => {
+            const chip = e.target.closest('[data-facet-value]');
+            if (!chip) return;
+            
+            const value = chip.dataset.facetValue;
+            if (value === 'all') {
+                filterManager.setFacet(facet, []);
+            } else {
+                filterManager.toggleFacet(facet, value);
+            }
+        });
+    }
+    
     // ===== PAGINATION RENDERING =====
     
     /**
@@ -342,6 +770,26 @@ class RenderManager {
         container.appendChild(pagination);
     }
     
+    /**
+     * Share a link (native share sheet, or copy it)
+     * @param {string} title - Share title
+     * @param {string} url - URL to share
+     */
+    async shareLink(title, url) {
+        if (navigator.share) {
+            try {
+                await navigator.share({ title: title, url: url });
+                return;
+            } catch (error) {
+                // Dismissed by the user
+                if (error.name === 'AbortError') return;
+            }
+        }
+        
+        const copied = await Utils.copyToClipboard(url);
+        this.showToast(copied ? 'Đã sao chép liên kết' : 'Không thể sao chép liên kết', copied ? 'success' : 'error');
+    }
+    
     /**
      * Show toast notification
      * @param {string} message - Notification message
@@ -0,0 +1,139 @@
+/**
+ * ============================================
+ * SCHEMA.JS - Shopee Affiliate Hub
+ * Declarative schemas for imported data files
+ * Version: 1.0.0
+ * ============================================
+ */
+
+'use strict';
+
+/**
+ * Data Schemas
+ *
+ * Each field definition supports:
+ * - type: 'string' | 'number' | 'count' | 'boolean' | 'url' | 'enum' | 'variants'
+ *         | 'schedule' (daily "HH:MM" or an ISO date-time) | 'date' (ISO date-time)
+ * - required: reject the row when the value is missing or invalid
+ * - default: value substituted when an optional value is invalid
+ * - unique: reject rows repeating a value already seen
+ * - min / max: numeric bounds (number type)
+ * - values: allowed values (enum type, compared lowercase)
+ * - hosts: allowed hostnames (url type, subdomains included)
+ *
+ * Variants (products.csv) are written as
+ *   name:sale_price[:original_price[:in_stock]] | name:sale_price ...
+ * e.g. "Đen - M:89000:150000|Đen - L:99000:150000:0"
+ */
+const DATA_SCHEMAS = {
+    // ===== SHOPS.CSV =====
+    shops: {
+        name: 'shops',
+        fields: {
+            id: { type: 'string', required: true, unique: true },
+            shop_name: { type: 'string', required: true },
+            category: { type: 'enum', required: true, values: Object.keys(CONFIG.categories) },
+            shop_type: { type: 'string', default: 'Cửa hàng chính thức' },
+            rating: { type: 'number', min: 0, max: 5, default: 5 },
+            rating_count: { type: 'count', default: 0 },
+            followers: { type: 'count', default: 0 },
+            logo_url: { type: 'url', default: '' },
+            affiliate_link: { type: 'url', required: true, hosts: ['shopee.vn', 'shp.ee'] },
+            tier: { type: 'enum', values: Object.keys(CONFIG.tiers), default: 'n3' },
+            verified: { type: 'boolean', default: 'false' },
+            description: { type: 'string', default: '' }
+        }
+    },
+    
+    // ===== PRODUCTS.CSV =====
+    products: {
+        name: 'products',
+        fields: {
+            id: { type: 'string', required: true, unique: true },
+            product_name: { type: 'string', required: true },
+            category: { type: 'enum', required: true, values: Object.keys(CONFIG.categories) },
+            original_price: { type: 'number', min: 0, default: '' },
+            sale_price: { type: 'number', required: true, min: 1 },
+            image_url: { type: 'url', default: '' },
+            affiliate_link: { type: 'url', required: true, hosts: ['shopee.vn', 'shp.ee'] },
+            sold_count: { type: 'count', default: 0 },
+            tier: { type: 'enum', values: Object.keys(CONFIG.tiers), default: 'n3' },
+            description: { type: 'string', default: '' },
+            shop_name: { type: 'string', default: '' },
+            rating: { type: 'number', min: 0, max: 5, default: '' },
+            rating_count: { type: 'count', default: 0 },
+            shop_id: { type: 'string', default: '' },
+            variants: { type: 'variants', default: '' }
+        }
+    },
+    
+    // ===== FLASH-SALES.CSV =====
+    // One row per product in a slot; slot columns repeat on every row
+    flashSales: {
+        name: 'flashSales',
+        fields: {
+            slot_id: { type: 'string', required: true },
+            slot_name: { type: 'string', default: '' },
+            start_time: { type: 'schedule', required: true },
+            end_time: { type: 'schedule', required: true },
+            product_id: { type: 'string', required: true },
+            flash_price: { type: 'number', min: 1, default: '' },
+            stock: { type: 'count', default: 0 }
+        }
+    },
+    
+    // ===== VOUCHERS.CSV =====
+    // Empty category / shop_id means the voucher applies store-wide.
+    // An "HH:MM" expiry makes a daily voucher that ends today at that time
+    vouchers: {
+        name: 'vouchers',
+        fields: {
+            id: { type: 'string', required: true, unique: true },
+            code: { type: 'string', required: true, unique: true },
+            discount_type: { type: 'enum', required: true, values: ['amount', 'percent', 'freeship'] },
+            discount_value: { type: 'number', min: 0, default: 0 },
+            max_discount: { type: 'number', min: 0, default: '' },
+            min_spend: { type: 'number', min: 0, default: 0 },
+            category: { type: 'enum', values: Object.keys(CONFIG.categories), default: '' },
+            shop_id: { type: 'string', default: '' },
+            expires_at: { type: 'schedule', required: true },
+            description: { type: 'string', default: '' }
+        }
+    },
+    
+    // ===== PRICE-HISTORY.CSV =====
+    // One row per product per recorded date
+    priceHistory: {
+        name: 'priceHistory',
+        fields: {
+            product_id: { type: 'string', required: true },
+            date: { type: 'date', required: true },
+            price: { type: 'number', required: true, min: 1 }
+        }
+    },
+    
+    // ===== SYNONYMS.CSV =====
+    // One row per group of equivalent search terms, separated by "|"
+    // e.g. "điện thoại|dt|phone"; a term may be several words
+    synonyms: {
+        name: 'synonyms',
+        fields: {
+            terms: { type: 'string', required: true }
+        }
+    }
+};
+
+/**
+ * Freeze schemas to prevent modifications
+ */
+Object.values(DATA_SCHEMAS).forEach(schema => {
+    Object.values(schema.fields).forEach(field => Object.freeze(field));
+    Object.freeze(schema.fields);
+    Object.freeze(schema);
+});
+Object.freeze(DATA_SCHEMAS);
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DATA_SCHEMAS;
+}
\ No newline at end of file
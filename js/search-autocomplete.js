@@ -0,0 +1,385 @@
+/**
+ * ============================================
+ * SEARCH-AUTOCOMPLETE.JS - Shopee Affiliate Hub
+ * Suggestion dropdown for the header search inputs
+ * Version: 1.0.0
+ * ============================================
+ */
+
+'use strict';
+
+/**
+ * Search Autocomplete Class
+ * Shows suggestions under a search input while the visitor types: recent
+ * searches, matching categories and the top products and shops ranked by
+ * SearchManager. Nothing navigates while typing; the page only changes on
+ * submit (Enter / search button) or when a suggestion is picked.
+ *
+ * Each catalog type gets its own SearchManager index. The page's global
+ * searchManager is reused when it already indexes the same data.
+ */
+class SearchAutocomplete {
+    constructor() {
+        this.sources = {};
+        this.categoryCounts = {};
+    }
+    
+    /**
+     * Index the catalogs to suggest from
+     * @param {Object} data - Items by type ({ products, shops })
+     * @returns {Promise<void>}
+     */
+    async setData(data) {
+        for (const [type, items] of Object.entries(data)) {
+            if (!Array.isArray(items)) continue;
+            
+            const manager = searchManager.items === items ? searchManager : new SearchManager();
+            if (manager !== searchManager) {
+                await manager.initSearch(items, type);
+            }
+            
+            this.sources[type] = {
+                manager: manager,
+                itemsById: new Map(items.map(item => [item.id, item]))
+            };
+        }
+        
+        this.categoryCounts = {};
+        (data.products || []).forEach(product => {
+            this.categoryCounts[product.category] = (this.categoryCounts[product.category] || 0) + 1;
+        });
+    }
+    
+    /**
+     * Attach the dropdown to a search input
+     * @param {HTMLInputElement} input - Search input
+     * @param {Object} options - { onSubmit(query) }, defaults to opening products.html?search=
+     */
+    attach(input, options = {}) {
+        if (!input) return;
+        
+        const list = document.createElement('ul');
+        list.id = `${input.id}Suggestions`;
+        list.className = 'search-suggestions hidden';
+        list.setAttribute('role', 'listbox');
+        list.dataset.trackSection = 'search-autocomplete';
+        input.parentElement.appendChild(list);
+        
+        input.setAttribute('role', 'combobox');
+        input.setAttribute('autocomplete', 'off');
+        input.setAttribute('aria-autocomplete', 'list');
+        input.setAttribute('aria-controls', list.id);
+        input.setAttribute('aria-expanded', 'false');
+        
+        const state = {
+            input: input,
+            list: list,
+            onSubmit: options.onSubmit || ((query) => this.navigateToSearch(query)),
+            suggestions: [],
+            activeIndex: -1
+        };
+        
+        const update = Utils.debounce(() => this.update(state), CONFIG.search.autocomplete.debounceDelay);
+        
+        input.addEventListener('input', update);
+        input.addEventListener('focus', () => this.update(state));
+        input.addEventListener('blur', () => this.close(state));
+        input.addEventListener('keydown', (e) => this.onKeyDown(state, e));
+        
+        // Keep focus in the input so the dropdown survives the click
+        list.addEventListener('mousedown', (e) => e.preventDefault());
+        list.addEventListener('click', (e) => {
+            const option = e.target.closest('[data-suggestion-index]');
+            if (option) {
+                this.select(state, parseInt(option.dataset.suggestionIndex, 10), e);
+            }
+        });
+        
+        // The search button next to the input submits it
+        const button = input.parentElement.querySelector('button');
+        if (button) {
+            button.addEventListener('click', () => this.submit(state, input.value));
+        }
+    }
+    
+    /**
+     * Handle keyboard navigation
+     * @param {Object} state - Attached input state
+     * @param {KeyboardEvent} e - Keydown event
+     */
+    onKeyDown(state, e) {
+        const isOpen = !state.list.classList.contains('hidden');
+        
+        switch (e.key) {
+            case 'ArrowDown':
+            case 'ArrowUp':
+                e.preventDefault();
+                if (!isOpen) {
+                    this.update(state);
+                    return;
+                }
+                this.move(state, e.key === 'ArrowDown' ? 1 : -1);
+                break;
+            case 'Enter':
+                e.preventDefault();
+                if (isOpen && state.activeIndex >= 0) {
+                    this.select(state, state.activeIndex);
+                } else {
+                    this.submit(state, state.input.value);
+                }
+                break;
+            case 'Escape':
+                if (isOpen) {
+                    e.preventDefault();
+                    this.close(state);
+                }
+                break;
+        }
+    }
+    
+    /**
+     * Get suggestions for a query
+     * An empty query suggests recent searches only.
+     * @param {string} query - Text typed so far
+     * @returns {Array} Suggestions ({ type, label, query|url, id, meta, image })
+     */
+    getSuggestions(query) {
+        const settings = CONFIG.search.autocomplete;
+        const trimmed = query.trim();
+        const normalized = Utils.normalizeVietnamese(trimmed);
+        
+        const recent = searchManager.getRecentSearches()
+            .filter(search => !normalized || Utils.normalizeVietnamese(search.query).includes(normalized))
+            .slice(0, settings.maxRecent)
+            .map(search => ({ type: 'recent', label: search.query, query: search.query }));
+        
+        if (trimmed.length < CONFIG.search.minQueryLength) {
+            return recent;
+        }
+        
+        // Categories whose name contains the text, or named through a synonym ("cosmetics")
+        const source = this.sources.products;
+        const named = source ? source.manager.getQueryCategories(source.manager.tokenize(trimmed)) : new Set();
+        const categories = Object.entries(CONFIG.categories)
+            .filter(([key, category]) => Utils.normalizeVietnamese(category.name).includes(normalized) || named.has(key))
+            .slice(0, settings.maxCategories)
+            .map(([key, category]) => ({
+                type: 'category',
+                label: `${category.icon} ${category.name}`,
+                url: `products.html?category=${encodeURIComponent(key)}`,
+                meta: this.categoryCounts[key] ? `${this.categoryCounts[key]} sản phẩm` : ''
+            }));
+        
+        const products = this.getTopItems('products', trimmed, settings.maxProducts).map(product => ({
+            type: 'product',
+            id: product.id,
+            label: product.name,
+            url: linkBuilder.buildDetailUrl('product.html', product.id, 'search-autocomplete'),
+            meta: Utils.formatCurrency(product.salePrice),
+            image: product.image || CONFIG.defaultImages.product
+        }));
+        
+        const shops = this.getTopItems('shops', trimmed, settings.maxShops).map(shop => ({
+            type: 'shop',
+            id: shop.id,
+            label: shop.name,
+            url: linkBuilder.buildDetailUrl('shop.html', shop.id, 'search-autocomplete'),
+            meta: shop.type || '',
+            image: shop.logo || CONFIG.defaultImages.shop
+        }));
+        
+        return recent.concat(categories, products, shops);
+    }
+    
+    /**
+     * Get the best ranked items of a type
+     * @param {string} type - Source type ('products' or 'shops')
+     * @param {string} query - Search query
+     * @param {number} limit - Maximum items
+     * @returns {Array} Items, best first
+     */
+    getTopItems(type, query, limit) {
+        const source = this.sources[type];
+        if (!source) return [];
+        
+        const scores = source.manager.getScores(query) || new Map();
+        
+        return [...scores.entries()]
+            .sort(([, a], [, b]) => b - a)
+            .slice(0, limit)
+            .map(([id]) => source.itemsById.get(id))
+            .filter(Boolean);
+    }
+    
+    /**
+     * Refresh the suggestions of an input
+     * @param {Object} state - Attached input state
+     */
+    update(state) {
+        state.suggestions = this.getSuggestions(state.input.value);
+        state.activeIndex = -1;
+        
+        if (state.suggestions.length === 0) {
+            this.close(state);
+            return;
+        }
+        
+        this.render(state);
+        state.list.classList.remove('hidden');
+        state.input.setAttribute('aria-expanded', 'true');
+    }
+    
+    /**
+     * Render the suggestion list, grouped by type
+     * @param {Object} state - Attached input state
+     */
+    render(state) {
+        const headings = {
+            recent: 'Tìm kiếm gần đây',
+            category: 'Danh mục',
+            product: 'Sản phẩm',
+            shop: 'Shop'
+        };
+        let lastType = null;
+        let position = 0;
+        
+        state.list.innerHTML = state.suggestions.map((suggestion, index) => {
+            const heading = suggestion.type !== lastType
+                ? `<li class="search-suggestions-heading" role="presentation">${headings[suggestion.type]}</li>`
+                : '';
+            lastType = suggestion.type;
+            
+            const track = suggestion.id
+                ? `data-track="${suggestion.type}" data-track-id="${Utils.escapeHtml(suggestion.id)}"`
+                : '';
+            const content = `
+                ${suggestion.image ? `
+                    <img src="${Utils.escapeHtml(suggestion.image)}" alt="" class="search-suggestion-image"
+                         onerror="this.src='${CONFIG.defaultImages[suggestion.type]}'">
+                ` : `<span class="search-suggestion-icon">${suggestion.type === 'recent' ? '🕘' : ''}</span>`}
+                <span class="search-suggestion-label">${Utils.escapeHtml(suggestion.label)}</span>
+                ${suggestion.meta ? `<span class="search-suggestion-meta">${Utils.escapeHtml(suggestion.meta)}</span>` : ''}
+            `;
+            
+            return `
+                ${heading}
+                <li id="${state.list.id}-${index}"
+                    class="search-suggestion"
+                    role="option"
+                    aria-selected="false"
+                    data-suggestion-index="${index}"
+                    ${suggestion.id ? `data-track-position="${++position}"` : ''}>
+                    ${suggestion.url
+                        ? `<a href="${Utils.escapeHtml(suggestion.url)}" tabindex="-1" ${track}>${content}</a>`
+                        : `<span>${content}</span>`}
+                </li>
+            `;
+        }).join('');
+    }
+    
+    /**
+     * Move the highlighted suggestion
+     * @param {Object} state - Attached input state
+     * @param {number} step - 1 (down) or -1 (up)
+     */
+    move(state, step) {
+        const count = state.suggestions.length;
+        if (count === 0) return;
+        
+        // Wraps around, passing through "nothing highlighted" (back to typing)
+        let index = state.activeIndex + step;
+        if (index >= count) index = -1;
+        if (index < -1) index = count - 1;
+        state.activeIndex = index;
+        
+        state.list.querySelectorAll('[data-suggestion-index]').forEach(option => {
+            const active = parseInt(option.dataset.suggestionIndex, 10) === index;
+            option.classList.toggle('active', active);
+            option.setAttribute('aria-selected', String(active));
+            if (active) {
+                option.scrollIntoView({ block: 'nearest' });
+            }
+        });
+        
+        if (index >= 0) {
+            state.input.setAttribute('aria-activedescendant', `${state.list.id}-${index}`);
+        } else {
+            state.input.removeAttribute('aria-activedescendant');
+        }
+    }
+    
+    /**
+     * Pick a suggestion
+     * Recent searches are submitted again; the others open their page.
+     * @param {Object} state - Attached input state
+     * @param {number} index - Suggestion index
+     * @param {Event} e - Click event, when picked with the mouse
+     */
+    select(state, index, e = null) {
+        const suggestion = state.suggestions[index];
+        if (!suggestion) return;
+        
+        if (suggestion.type === 'recent') {
+            if (e) e.preventDefault();
+            state.input.value = suggestion.query;
+            this.submit(state, suggestion.query);
+            return;
+        }
+        
+        searchManager.addToRecentSearches(state.input.value.trim());
+        
+        // Mouse picks follow the link and are tracked by ClickTracker;
+        // keyboard picks record the same click event, then navigate
+        if (!e) {
+            const link = state.list.querySelector(`[data-suggestion-index="${index}"] a`);
+            if (link && link.dataset.track) {
+                clickTracker.track(clickTracker.getEvent(link));
+            }
+            window.location.href = suggestion.url;
+        }
+        
+        this.close(state);
+    }
+    
+    /**
+     * Submit the typed query
+     * @param {Object} state - Attached input state
+     * @param {string} query - Search query
+     */
+    submit(state, query) {
+        const trimmed = query.trim();
+        this.close(state);
+        
+        if (trimmed.length < CONFIG.search.minQueryLength) return;
+        
+        searchManager.addToRecentSearches(trimmed);
+        state.onSubmit(trimmed);
+    }
+    
+    /**
+     * Hide the dropdown
+     * @param {Object} state - Attached input state
+     */
+    close(state) {
+        state.activeIndex = -1;
+        state.list.classList.add('hidden');
+        state.input.setAttribute('aria-expanded', 'false');
+        state.input.removeAttribute('aria-activedescendant');
+    }
+    
+    /**
+     * Open the products page with a search
+     * @param {string} query - Search query
+     */
+    navigateToSearch(query) {
+        window.location.href = `products.html?search=${encodeURIComponent(query)}`;
+    }
+}
+
+// Create global instance
+const searchAutocomplete = new SearchAutocomplete();
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SearchAutocomplete;
+}
\ No newline at end of file
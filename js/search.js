@@ -10,10 +10,23 @@
 
 /**
  * Search Manager Class
+ * Searches an inverted index (token -> postings) built once per dataset.
+ * Query tokens are matched with AND semantics: every token must match,
+ * exactly, as a prefix, or fuzzily (typos / Telex, weighted lower).
+ * Matches are ranked with BM25. Built indexes are kept in the IndexedDB
+ * cache, keyed by a hash of the indexed fields, so other pages showing
+ * the same catalog reuse them.
+ *
+ * Synonyms (CONFIG.api.endpoints.synonyms) are applied on both sides:
+ * items get one extra token per synonym group their text contains, and
+ * query phrases from a group are replaced by that token, so "dt",
+ * "điện thoại" and "phone" find the same items.
  */
 class SearchManager {
     constructor() {
-        this.searchIndex = [];
+        this.searchIndex = null;
+        this.items = [];
+        this.synonyms = { groups: [], lookup: new Map(), maxLength: 0 };
         this.recentSearches = [];
         this.searchResults = [];
         this.isSearching = false;
@@ -29,43 +42,189 @@ class SearchManager {
      * Initialize search functionality
      * @param {Array} data - Data to index
      * @param {string} type - Type of data ('products' or 'shops')
+     * @returns {Promise<void>}
      */
-    initSearch(data, type = 'products') {
-        this.buildSearchIndex(data, type);
-        console.log(`[SearchManager] Index built with ${this.searchIndex.length} items`);
+    async initSearch(data, type = 'products') {
+        this.items = data;
+        this.synonyms = await this.loadSynonyms();
+        this.searchIndex = await this.loadSearchIndex(data, type);
+        console.log(`[SearchManager] Index ready with ${this.searchIndex.docs.length} items, ${this.searchIndex.postings.size} tokens`);
+    }
+    
+    /**
+     * Get the indexed fields of an item
+     * @param {Object} item - Product or shop
+     * @param {string} type - Type of data
+     * @returns {Object} Text by field name (weighted by CONFIG.search.fieldWeights)
+     */
+    getIndexFields(item, type) {
+        return type === 'products'
+            ? { name: item.name, category: item.category, shopName: item.shopName }
+            : { name: item.name, category: item.category, type: item.type };
+    }
+    
+    /**
+     * Split text into normalized tokens
+     * @param {string} text - Text
+     * @returns {Array} Tokens
+     */
+    tokenize(text) {
+        return Utils.normalizeVietnamese(text || '')
+            .split(/[^a-z0-9]+/)
+            .filter(Boolean);
+    }
+    
+    /**
+     * Load the synonym dictionary
+     * The dictionary is optional: without it search matches words as typed.
+     * @returns {Promise<Object>} { groups, lookup: Map(phrase -> group), maxLength }
+     */
+    async loadSynonyms() {
+        let groups = [];
+        
+        try {
+            const rows = await csvHandler.loadData(CONFIG.api.endpoints.synonyms);
+            groups = csvHandler.processSynonymData(rows).groups;
+        } catch (error) {
+            console.warn('[SearchManager] Synonym dictionary unavailable:', error);
+        }
+        
+        // Phrases are matched as normalized token sequences
+        const lookup = new Map();
+        groups.forEach((group, index) => {
+            group.forEach(term => {
+                const phrase = this.tokenize(term).join(' ');
+                if (phrase && !lookup.has(phrase)) {
+                    lookup.set(phrase, index);
+                }
+            });
+        });
+        
+        const maxLength = Math.max(0, ...[...lookup.keys()].map(phrase => phrase.split(' ').length));
+        
+        return { groups, lookup, maxLength };
+    }
+    
+    /**
+     * Find synonym phrases in a token sequence, longest phrase first
+     * @param {Array} tokens - Normalized tokens
+     * @param {boolean} overlapping - Also report phrases inside or across other matches
+     *   (indexing: "thực phẩm bổ sung" is also "thực phẩm")
+     * @returns {Array} Matches ({ start, end, group, token }), token naming the group
+     */
+    findSynonyms(tokens, overlapping = false) {
+        const { lookup, maxLength } = this.synonyms;
+        const matches = [];
+        let start = 0;
+        
+        while (start < tokens.length) {
+            let matched = 0;
+            
+            for (let length = Math.min(maxLength, tokens.length - start); length > 0; length--) {
+                const group = lookup.get(tokens.slice(start, start + length).join(' '));
+                if (group === undefined) continue;
+                
+                matches.push({ start: start, end: start + length, group: group, token: `syn:${group}` });
+                matched = matched || length;
+                if (!overlapping) break;
+            }
+            
+            start += overlapping ? 1 : (matched || 1);
+        }
+        
+        return matches;
+    }
+    
+    /**
+     * Check whether a token names a synonym group
+     * @param {string} token - Token
+     * @returns {boolean} Synonym group token
+     */
+    isSynonymToken(token) {
+        return token.startsWith('syn:');
+    }
+    
+    /**
+     * Get the index for a dataset from the cache, or build and cache it
+     * @param {Array} data - Data to index
+     * @param {string} type - Type of data
+     * @returns {Promise<Object>} Search index
+     */
+    async loadSearchIndex(data, type) {
+        const key = `search-index:${type}`;
+        const hash = Utils.hashString(JSON.stringify({
+            weights: CONFIG.search.fieldWeights,
+            synonyms: this.synonyms.groups,
+            items: data.map(item => [item.id, ...Object.values(this.getIndexFields(item, type))])
+        }));
+        
+        const cached = await cacheStore.get(key);
+        if (cached && cached.hash === hash) {
+            return cached.data;
+        }
+        
+        const index = this.buildSearchIndex(data, type);
+        await cacheStore.set(key, index, hash);
+        return index;
     }
     
     /**
      * Build search index
      * @param {Array} data - Data to index
      * @param {string} type - Type of data
+     * @returns {Object} Index: { docs: [{ id, name, category, length }], postings: Map(token -> [[doc, tf]]), avgLength }
      */
     buildSearchIndex(data, type = 'products') {
-        this.searchIndex = data.map(item => {
-            const searchFields = type === 'products' 
-                ? [item.name, item.category, item.shopName]
-                : [item.name, item.category, item.type];
+        const postings = new Map();
+        
+        const docs = data.map((item, doc) => {
+            const frequencies = new Map();
+            let length = 0;
+            
+            // Field weights count as repeated tokens (a name match outweighs a category match)
+            Object.entries(this.getIndexFields(item, type)).forEach(([field, text]) => {
+                const weight = CONFIG.search.fieldWeights[field] || 1;
+                const tokens = this.tokenize(text);
+                
+                tokens.forEach(token => {
+                    frequencies.set(token, (frequencies.get(token) || 0) + weight);
+                    length += weight;
+                });
+                
+                // Synonym group tokens do not count towards the length
+                new Set(this.findSynonyms(tokens, true).map(match => match.token)).forEach(token => {
+                    frequencies.set(token, (frequencies.get(token) || 0) + weight);
+                });
+            });
+            
+            frequencies.forEach((frequency, token) => {
+                if (!postings.has(token)) {
+                    postings.set(token, []);
+                }
+                postings.get(token).push([doc, frequency]);
+            });
             
             return {
                 id: item.id,
-                type: type,
-                name: item.name,
+                name: Utils.normalizeVietnamese(item.name),
                 category: item.category,
-                normalizedName: Utils.normalizeVietnamese(item.name),
-                normalizedCategory: Utils.normalizeVietnamese(item.category || ''),
-                originalData: item,
-                searchText: searchFields
-                    .filter(Boolean)
-                    .map(field => Utils.normalizeVietnamese(field))
-                    .join(' ')
+                length: length
             };
         });
+        
+        const totalLength = docs.reduce((sum, doc) => sum + doc.length, 0);
+        
+        return {
+            docs: docs,
+            postings: postings,
+            avgLength: docs.length > 0 ? totalLength / docs.length : 0
+        };
     }
     
     /**
      * Perform search
      * @param {string} query - Search query
-     * @returns {Array} Search results
+     * @returns {Array} Search results ({ id, name, category, originalData, score })
      */
     performSearch(query) {
         if (!query || query.length < CONFIG.search.minQueryLength) {
@@ -75,18 +234,23 @@ class SearchManager {
         }
         
         this.isSearching = true;
-        const normalizedQuery = Utils.normalizeVietnamese(query);
-        
-        // Score-based search
-        const scoredResults = this.searchIndex
-            .map(item => ({
-                ...item,
-                score: this.calculateSearchScore(normalizedQuery, item)
-            }))
-            .filter(item => item.score > 0)
-            .sort((a, b) => b.score - a.score)
+        
+        const scores = this.getScores(query) || new Map();
+        const itemsById = new Map(this.items.map(item => [item.id, item]));
+        
+        const scoredResults = [...scores.entries()]
+            .sort(([, a], [, b]) => b - a)
             .slice(0, CONFIG.search.maxResults)
-            .map(({ score, ...rest }) => rest);
+            .map(([id, score]) => {
+                const item = itemsById.get(id);
+                return {
+                    id: id,
+                    name: item.name,
+                    category: item.category,
+                    originalData: item,
+                    score: score
+                };
+            });
         
         this.searchResults = scoredResults;
         this.isSearching = false;
@@ -98,48 +262,201 @@ class SearchManager {
     }
     
     /**
-     * Debounced search
+     * Score indexed items against a query
+     * Used by FilterManager so text search composes with filters and sorting.
      * @param {string} query - Search query
+     * @returns {Map|null} Score by item id for items matching every token,
+     *   or null if the query is too short or nothing is indexed yet
      */
-    search(query) {
-        this.debouncedSearch(query);
+    getScores(query) {
+        const trimmed = (query || '').trim();
+        if (trimmed.length < CONFIG.search.minQueryLength || !this.searchIndex) {
+            return null;
+        }
+        
+        const words = this.tokenize(trimmed);
+        const tokens = [...new Set(this.applySynonyms(words))];
+        const { docs, postings, avgLength } = this.searchIndex;
+        const { k1, b, phraseBoost, categoryBoost } = CONFIG.search.bm25;
+        let matches = null;
+        
+        for (const token of tokens) {
+            // Best scoring expansion of this token per document
+            const tokenScores = new Map();
+            const expansions = this.isSynonymToken(token)
+                ? new Map(postings.has(token) ? [[token, 1]] : [])
+                : this.expandToken(token);
+            
+            expansions.forEach((weight, term) => {
+                const list = postings.get(term);
+                const idf = Math.log(1 + (docs.length - list.length + 0.5) / (list.length + 0.5));
+                
+                list.forEach(([doc, frequency]) => {
+                    const norm = k1 * (1 - b + b * (docs[doc].length / avgLength));
+                    const score = weight * idf * (frequency * (k1 + 1)) / (frequency + norm);
+                    if (score > (tokenScores.get(doc) || 0)) {
+                        tokenScores.set(doc, score);
+                    }
+                });
+            });
+            
+            // AND: keep documents matching every token so far
+            if (matches === null) {
+                matches = tokenScores;
+            } else {
+                const next = new Map();
+                matches.forEach((score, doc) => {
+                    if (tokenScores.has(doc)) {
+                        next.set(doc, score + tokenScores.get(doc));
+                    }
+                });
+                matches = next;
+            }
+            
+            if (matches.size === 0) break;
+        }
+        
+        // Names containing the whole query rank above scattered token matches,
+        // items of a category named in the query above the other categories
+        const phrase = words.join(' ');
+        const categories = this.getQueryCategories(words);
+        const scores = new Map();
+        
+        (matches || new Map()).forEach((score, doc) => {
+            let boost = words.length > 1 && docs[doc].name.includes(phrase) ? phraseBoost : 1;
+            if (categories.has(docs[doc].category)) {
+                boost *= categoryBoost;
+            }
+            scores.set(docs[doc].id, score * boost);
+        });
+        
+        return scores;
+    }
+    
+    /**
+     * Replace synonym phrases in query words with their group token
+     * @param {Array} words - Normalized query words
+     * @returns {Array} Query tokens
+     */
+    applySynonyms(words) {
+        const tokens = [];
+        let next = 0;
+        
+        this.findSynonyms(words).forEach(match => {
+            tokens.push(...words.slice(next, match.start), match.token);
+            next = match.end;
+        });
+        
+        return tokens.concat(words.slice(next));
     }
     
     /**
-     * Calculate search score
-     * @param {string} query - Normalized query
-     * @param {Object} item - Search index item
-     * @returns {number} Search score
+     * Find the categories a query names, by CONFIG.categories name or slug
+     * or through a synonym ("cosmetics" is in the group of "mỹ phẩm")
+     * @param {Array} words - Normalized query words
+     * @returns {Set} Category keys
      */
-    calculateSearchScore(query, item) {
-        let score = 0;
+    getQueryCategories(words) {
+        const text = ` ${words.join(' ')} `;
+        const groups = new Set(this.findSynonyms(words).map(match => match.group));
+        const categories = new Set();
         
-        // Exact match in name
-        if (item.normalizedName === query) {
-            score += 100;
+        Object.entries(CONFIG.categories).forEach(([key, category]) => {
+            const named = [category.name, key].some(name => {
+                const phrase = this.tokenize(name).join(' ');
+                return text.includes(` ${phrase} `) || groups.has(this.synonyms.lookup.get(phrase));
+            });
+            
+            if (named) {
+                categories.add(key);
+            }
+        });
+        
+        return categories;
+    }
+    
+    /**
+     * Find the indexed terms a query token matches
+     * @param {string} token - Query token
+     * @returns {Map} Weight by indexed term (1 = exact)
+     */
+    expandToken(token) {
+        const postings = this.searchIndex.postings;
+        const telex = Utils.decodeTelex(token);
+        const expansions = new Map();
+        
+        const add = (term, weight) => {
+            if (weight > (expansions.get(term) || 0)) {
+                expansions.set(term, weight);
+            }
+        };
+        
+        if (postings.has(token)) {
+            add(token, 1);
         }
         
-        // Name starts with query
-        if (item.normalizedName.startsWith(query)) {
-            score += 50;
+        for (const term of postings.keys()) {
+            if (this.isSynonymToken(term)) continue;
+            
+            add(term, this.matchWord(token, term));
+            
+            // Telex / VNI input ("aos" -> "ao") counts as a fuzzy match
+            if (telex && telex !== token) {
+                add(term, (term === telex ? 1 : this.matchWord(telex, term)) * CONFIG.search.fuzzy.weight);
+            }
         }
         
-        // Name contains query
-        if (item.normalizedName.includes(query)) {
-            score += 30;
+        expansions.delete('');
+        return expansions;
+    }
+    
+    /**
+     * Compare a query word with an indexed term
+     * @param {string} word - Query word
+     * @param {string} term - Indexed term
+     * @returns {number} Match weight from 0 (no match) to 1 (exact)
+     */
+    matchWord(word, term) {
+        if (term === word) return 1;
+        
+        // Prefix, for words still being typed
+        if (word.length >= 2 && term.startsWith(word)) {
+            return CONFIG.search.prefixWeight;
         }
         
-        // Search text contains query
-        if (item.searchText.includes(query)) {
-            score += 15;
+        const settings = CONFIG.search.fuzzy;
+        if (!settings.enabled || word.length < settings.minWordLength) return 0;
+        
+        const maxEdits = Math.min(settings.maxEdits, Math.floor(word.length * settings.tolerance));
+        const consonants = (text) => text.replace(/[aeiouy]/g, '');
+        let best = 0;
+        
+        const distance = Utils.editDistance(word, term, maxEdits);
+        if (distance <= maxEdits) {
+            best = Math.max(best, 1 - distance / Math.max(word.length, term.length));
         }
         
-        // Word match in search text
-        const words = item.searchText.split(' ');
-        const matchedWords = words.filter(word => word.startsWith(query)).length;
-        score += matchedWords * 10;
+        const ngram = Utils.ngramSimilarity(word, term);
+        if (ngram >= settings.ngramThreshold) {
+            best = Math.max(best, ngram);
+        }
         
-        return score;
+        // Vowels are the usual casualty of phone typing and loanword spelling
+        const wordConsonants = consonants(word);
+        if (wordConsonants.length >= 2 && term[0] === word[0] && consonants(term) === wordConsonants) {
+            best = Math.max(best, settings.consonantScore);
+        }
+        
+        // Fuzzy matches are weighted below exact and prefix matches
+        return best * settings.weight;
+    }
+    
+    /**
+     * Debounced search
+     * @param {string} query - Search query
+     */
+    search(query) {
+        this.debouncedSearch(query);
     }
     
     /**
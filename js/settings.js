@@ -0,0 +1,327 @@
+/**
+ * ============================================
+ * SETTINGS.JS - Shopee Affiliate Hub
+ * User preferences and settings drawer
+ * Version: 1.0.0
+ * ============================================
+ */
+
+'use strict';
+
+/**
+ * Settings Manager Class
+ * CONFIG stays frozen: user choices are stored under
+ * CONFIG.storage.keys.settings as overrides and layered on top of the
+ * CONFIG defaults when read. Only values that differ from the default are
+ * stored, so changing a default in CONFIG still reaches existing users.
+ */
+class SettingsManager {
+    constructor() {
+        this.overrides = this.load();
+        this.listeners = [];
+        this.drawer = null;
+    }
+    
+    /**
+     * Default values, taken from CONFIG
+     * @returns {Object} Defaults by setting key
+     */
+    getDefaults() {
+        return {
+            productsPerPage: CONFIG.pagination.itemsPerPage,
+            shopsPerPage: CONFIG.pagination.shopsPerPage,
+            productSort: CONFIG.defaultSort.products,
+            shopSort: CONFIG.defaultSort.shops,
+            preferredTiers: []
+        };
+    }
+    
+    /**
+     * Editable settings and their allowed values
+     * Fields marked multiple hold an array of values (empty = no preference).
+     * @returns {Array} Field definitions ({ key, label, options, multiple })
+     */
+    getFields() {
+        const pageSizes = CONFIG.pagination.pageSizeOptions.map(size => ({
+            value: size,
+            label: `${size} / trang`
+        }));
+        
+        // Relevance only applies while searching, so it cannot be a default
+        const sorts = (options) => options.filter(option => option.value !== 'relevance');
+        
+        return [
+            { key: 'productsPerPage', label: 'Sản phẩm mỗi trang', options: pageSizes },
+            { key: 'productSort', label: 'Sắp xếp sản phẩm mặc định', options: sorts(CONFIG.sortOptions.products) },
+            { key: 'shopsPerPage', label: 'Shop mỗi trang', options: pageSizes },
+            { key: 'shopSort', label: 'Sắp xếp shop mặc định', options: sorts(CONFIG.sortOptions.shops) },
+            {
+                key: 'preferredTiers',
+                label: 'Phân khúc ưu tiên',
+                multiple: true,
+                options: Object.entries(CONFIG.tiers).map(([key, tier]) => ({ value: key, label: tier.label }))
+            }
+        ];
+    }
+    
+    /**
+     * Coerce a value to one of a field's allowed values
+     * @param {string} key - Setting key
+     * @param {*} value - Candidate value (an array for multiple fields)
+     * @returns {*} Allowed value, or undefined if not allowed
+     */
+    coerce(key, value) {
+        const field = this.getFields().find(f => f.key === key);
+        if (!field) return undefined;
+        
+        // Keep the allowed values, in option order
+        if (field.multiple) {
+            const values = (Array.isArray(value) ? value : [value]).map(String);
+            return field.options.filter(o => values.includes(String(o.value))).map(o => o.value);
+        }
+        
+        const option = field.options.find(o => String(o.value) === String(value));
+        return option ? option.value : undefined;
+    }
+    
+    /**
+     * Load stored overrides, dropping unknown or no longer allowed values
+     * @returns {Object} Overrides
+     */
+    load() {
+        const stored = Utils.getStorage(CONFIG.storage.keys.settings) || {};
+        const overrides = {};
+        
+        // The single preferredTier setting became preferredTiers
+        if (stored.preferredTier && !stored.preferredTiers) {
+            stored.preferredTiers = [stored.preferredTier];
+        }
+        
+        Object.entries(stored).forEach(([key, value]) => {
+            const allowed = this.coerce(key, value);
+            if (allowed !== undefined) {
+                overrides[key] = allowed;
+            }
+        });
+        
+        return overrides;
+    }
+    
+    /**
+     * Get a setting
+     * @param {string} key - Setting key
+     * @returns {*} User value or CONFIG default
+     */
+    get(key) {
+        return key in this.overrides ? this.overrides[key] : this.getDefaults()[key];
+    }
+    
+    /**
+     * Get every setting
+     * @returns {Object} Settings
+     */
+    getAll() {
+        return { ...this.getDefaults(), ...this.overrides };
+    }
+    
+    /**
+     * Update settings
+     * @param {Object} values - Values by setting key
+     */
+    update(values) {
+        const defaults = this.getDefaults();
+        
+        Object.entries(values).forEach(([key, value]) => {
+            const allowed = this.coerce(key, value);
+            if (allowed === undefined) {
+                console.warn(`[SettingsManager] Ignoring invalid value for ${key}:`, value);
+                return;
+            }
+            
+            if (JSON.stringify(allowed) === JSON.stringify(defaults[key])) {
+                delete this.overrides[key];
+            } else {
+                this.overrides[key] = allowed;
+            }
+        });
+        
+        Utils.setStorage(CONFIG.storage.keys.settings, this.overrides);
+        this.notifyListeners();
+    }
+    
+    /**
+     * Restore every default
+     */
+    reset() {
+        this.overrides = {};
+        Utils.removeStorage(CONFIG.storage.keys.settings);
+        this.notifyListeners();
+    }
+    
+    // ===== DRAWER =====
+    
+    /**
+     * Build the settings drawer (once)
+     * @returns {HTMLElement} Drawer overlay element
+     */
+    renderDrawer() {
+        if (this.drawer) return this.drawer;
+        
+        const overlay = document.createElement('div');
+        overlay.className = 'drawer-overlay';
+        overlay.innerHTML = `
+            <aside class="drawer" role="dialog" aria-modal="true" aria-labelledby="settingsDrawerTitle">
+                <div class="modal-header">
+                    <h2 id="settingsDrawerTitle" class="modal-title">⚙️ Cài đặt</h2>
+                    <button type="button" class="modal-close" data-settings-close aria-label="Đóng">✕</button>
+                </div>
+                <form class="modal-body space-y-4" data-settings-form>
+                    ${this.getFields().map(field => field.multiple ? `
+                        <fieldset>
+                            <legend class="block text-sm font-medium text-gray-700 mb-1">${field.label}</legend>
+                            <div class="flex flex-wrap gap-x-4 gap-y-2">
+                                ${field.options.map(option => `
+                                    <label class="inline-flex items-center space-x-2 text-sm text-gray-700">
+                                        <input type="checkbox" name="${field.key}" value="${option.value}" class="rounded text-shopee-500 focus:ring-shopee-500">
+                                        <span>${Utils.escapeHtml(option.label)}</span>
+                                    </label>
+                                `).join('')}
+                            </div>
+                            <span class="block text-xs text-gray-500 mt-1">Không chọn = tất cả</span>
+                        </fieldset>
+                    ` : `
+                        <label class="block">
+                            <span class="block text-sm font-medium text-gray-700 mb-1">${field.label}</span>
+                            <select name="${field.key}" class="w-full px-4 py-2 border border-gray-200 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-shopee-500 focus:border-transparent bg-white">
+                                ${field.options.map(option => `
+                                    <option value="${option.value}">${Utils.escapeHtml(option.label)}</option>
+                                `).join('')}
+                            </select>
+                        </label>
+                    `).join('')}
+                    <p class="text-xs text-gray-500">Cài đặt được lưu trên trình duyệt này.</p>
+                </form>
+                <div class="modal-footer">
+                    <button type="button" data-settings-reset class="px-4 py-2 text-sm text-gray-600 hover:text-shopee-500 font-medium">
+                        Khôi phục mặc định
+                    </button>
+                    <button type="button" data-settings-save class="px-4 py-2 bg-shopee-500 text-white text-sm font-semibold rounded-lg hover:bg-shopee-600 transition-colors">
+                        Lưu cài đặt
+                    </button>
+                </div>
+            </aside>
+        `;
+        
+        overlay.addEventListener('click', (e) => {
+            if (e.target === overlay || e.target.closest('[data-settings-close]')) {
+                this.close();
+            }
+        });
+        
+        overlay.querySelector('[data-settings-save]').addEventListener('click', () => {
+            const formData = new FormData(overlay.querySelector('[data-settings-form]'));
+            const values = {};
+            this.getFields().forEach(field => {
+                values[field.key] = field.multiple ? formData.getAll(field.key) : formData.get(field.key);
+            });
+            
+            this.update(values);
+            renderManager.showToast('Đã lưu cài đặt', 'success');
+            this.close();
+        });
+        
+        overlay.querySelector('[data-settings-reset]').addEventListener('click', () => {
+            this.reset();
+            this.fillForm();
+            renderManager.showToast('Đã khôi phục cài đặt mặc định', 'info');
+        });
+        
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') this.close();
+        });
+        
+        document.body.appendChild(overlay);
+        this.drawer = overlay;
+        return overlay;
+    }
+    
+    /**
+     * Show the current settings in the drawer form
+     */
+    fillForm() {
+        const settings = this.getAll();
+        
+        this.drawer.querySelectorAll('[data-settings-form] select').forEach(select => {
+            select.value = String(settings[select.name]);
+        });
+        
+        this.drawer.querySelectorAll('[data-settings-form] input[type="checkbox"]').forEach(checkbox => {
+            checkbox.checked = settings[checkbox.name].map(String).includes(checkbox.value);
+        });
+    }
+    
+    /**
+     * Open the drawer
+     */
+    open() {
+        this.renderDrawer();
+        this.fillForm();
+        this.drawer.classList.add('active');
+    }
+    
+    /**
+     * Close the drawer
+     */
+    close() {
+        if (this.drawer) {
+            this.drawer.classList.remove('active');
+        }
+    }
+    
+    /**
+     * Open the drawer from every [data-settings-open] element
+     */
+    bindTriggers() {
+        document.querySelectorAll('[data-settings-open]').forEach(trigger => {
+            trigger.addEventListener('click', () => this.open());
+        });
+    }
+    
+    /**
+     * Subscribe to settings changes
+     * @param {Function} callback - Callback function
+     * @returns {Function} Unsubscribe function
+     */
+    subscribe(callback) {
+        this.listeners.push(callback);
+        return () => {
+            this.listeners = this.listeners.filter(cb => cb !== callback);
+        };
+    }
+    
+    /**
+     * Notify all listeners
+     */
+    notifyListeners() {
+        const settings = this.getAll();
+        
+        this.listeners.forEach(callback => {
+            try {
+                callback(settings);
+            } catch (error) {
+                console.error('[SettingsManager] Listener error:', error);
+            }
+        });
+    }
+}
+
+// Create global instance
+const settingsManager = new SettingsManager();
+
+// Wire the header settings button on every page
+document.addEventListener('DOMContentLoaded', () => settingsManager.bindTriggers());
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SettingsManager;
+}
\ No newline at end of file
@@ -0,0 +1,434 @@
+/**
+ * ============================================
+ * SHOP-DETAIL.JS - Shopee Affiliate Hub
+ * Shop detail page logic (shop.html?id=...)
+ * Version: 1.0.0
+ * ============================================
+ */
+
+'use strict';
+
+/**
+ * Shop Detail Page App
+ */
+class ShopDetailApp {
+    constructor() {
+        this.shopId = Utils.getQueryParams().id || '';
+        this.shop = null;
+        this.products = [];
+        this.shopsData = null;
+        this.productsData = null;
+        this.isInitialized = false;
+    }
+    
+    /**
+     * Initialize shop detail page
+     */
+    async init() {
+        console.log('[ShopDetailApp] Initializing...');
+        
+        try {
+            if (!this.shopId) {
+                this.renderNotFound();
+                return;
+            }
+            
+            await this.loadData();
+            
+            // Search the full catalog index (shared with the products page),
+            // filter only this shop's products. Built before the header
+            // suggestions so they reuse it
+            await searchManager.initSearch(this.productsData.all, 'products');
+            this.initializeSearch();
+            
+            this.shop = this.shopsData.all.find(shop => shop.id === this.shopId) || null;
+            if (!this.shop) {
+                this.renderNotFound();
+                return;
+            }
+            this.products = this.productsData.byShop[this.shop.id] || [];
+            
+            this.updateMeta();
+            this.renderBreadcrumb();
+            this.renderShopInfo();
+            
+            filterManager.initFromURL();
+            filterManager.setData(this.products);
+            
+            this.setupFilters();
+            this.renderProducts();
+            
+            filterManager.subscribe(() => this.renderProducts());
+            settingsManager.subscribe(() => this.onSettingsChange());
+            
+            // Not subscribed to csvHandler on purpose: data revalidated in the
+            // background shows on the next visit instead of re-rendering the
+            // shop the visitor is reading
+            
+            this.isInitialized = true;
+            console.log('[ShopDetailApp] Initialized successfully');
+        } catch (error) {
+            console.error('[ShopDetailApp] Initialization error:', error);
+            this.showErrorMessage();
+        }
+    }
+    
+    /**
+     * Load catalog data
+     */
+    async loadData() {
+        console.log('[ShopDetailApp] Loading data...');
+        
+        const [shopsRaw, productsRaw] = await Promise.all([
+            csvHandler.loadData(CONFIG.api.endpoints.shops),
+            csvHandler.loadData(CONFIG.api.endpoints.products)
+        ]);
+        
+        this.shopsData = csvHandler.processShopData(shopsRaw);
+        this.productsData = csvHandler.processProductData(productsRaw, this.shopsData);
+    }
+    
+    /**
+     * Get the shareable URL of this page (filters left out)
+     * @returns {string} Absolute URL
+     */
+    getShareUrl() {
+        const url = new URL(window.location.href);
+        url.search = `?id=${encodeURIComponent(this.shop.id)}`;
+        url.hash = '';
+        return url.toString();
+    }
+    
+    /**
+     * Update title, description and social sharing meta tags
+     */
+    updateMeta() {
+        const shop = this.shop;
+        const summary = `⭐ ${Math.round(shop.rating * 10) / 10} · ${Utils.formatNumber(shop.followers)} người theo dõi`;
+        
+        Utils.setPageMeta({
+            title: `${shop.name} | Shopee Affiliate Hub`,
+            description: Utils.truncateText(`${summary}. ${shop.description || shop.type}`, 160),
+            image: shop.logo,
+            url: this.getShareUrl(),
+            type: 'profile'
+        });
+    }
+    
+    /**
+     * Render breadcrumb
+     */
+    renderBreadcrumb() {
+        const container = document.getElementById('shopBreadcrumb');
+        if (!container) return;
+        
+        container.innerHTML = `
+            <a href="index.html" class="hover:text-shopee-500">Trang chủ</a>
+            <span class="mx-1">›</span>
+            <a href="shops.html" class="hover:text-shopee-500">Shop uy tín</a>
+            <span class="mx-1">›</span>
+            <span class="text-gray-700">${Utils.escapeHtml(this.shop.name)}</span>
+        `;
+    }
+    
+    /**
+     * Render shop header: rating, followers, verified status, description and CTA
+     */
+    renderShopInfo() {
+        const container = document.getElementById('shopInfo');
+        if (!container) return;
+        
+        const shop = this.shop;
+        const tierConfig = CONFIG.tiers[shop.tier] || CONFIG.tiers.n3;
+        const category = CONFIG.categories[shop.category];
+        
+        container.innerHTML = `
+            <div class="flex flex-col md:flex-row md:items-center gap-6">
+                <img src="${Utils.escapeHtml(shop.logo)}"
+                     alt="${Utils.escapeHtml(shop.name)}"
+                     class="w-24 h-24 rounded-full object-cover border-4 border-shopee-100 flex-shrink-0"
+                     onerror="this.src='${CONFIG.defaultImages.shop}'">
+                
+                <div class="flex-1 min-w-0">
+                    <div class="flex flex-wrap items-center gap-2 mb-1">
+                        <h1 class="text-xl md:text-2xl font-bold text-gray-800">${Utils.escapeHtml(shop.name)}</h1>
+                        ${shop.verified ? `
+                            <span class="text-xs font-semibold px-2 py-1 rounded-full bg-green-100 text-green-700">✓ Đã xác minh</span>
+                        ` : ''}
+                        <span class="text-xs font-bold px-2 py-1 rounded-full text-white"
+                              style="background-color: ${tierConfig.hexColor}">
+                            ${tierConfig.icon} ${tierConfig.name}
+                        </span>
+                    </div>
+                    <p class="text-sm text-gray-600 mb-3">
+                        ${Utils.escapeHtml(shop.type)}${category ? ` · ${category.icon} ${Utils.escapeHtml(category.name)}` : ''}
+                    </p>
+                    
+                    <div class="flex flex-wrap gap-x-6 gap-y-2 text-sm text-gray-700 mb-3">
+                        <span><span class="text-yellow-400">⭐</span> <strong>${Math.round(shop.rating * 10) / 10}</strong> (${Utils.formatNumber(shop.ratingCount)} đánh giá)</span>
+                        <span>👥 <strong>${Utils.formatNumber(shop.followers)}</strong> người theo dõi</span>
+                        <span>🛍️ <strong>${this.products.length}</strong> sản phẩm trên Shopee Hub</span>
+                    </div>
+                    
+                    ${shop.description ? `
+                        <p class="text-sm text-gray-600 leading-relaxed whitespace-pre-line">${Utils.escapeHtml(shop.description)}</p>
+                    ` : ''}
+                </div>
+                
+                <div class="flex md:flex-col items-stretch gap-2 md:w-48">
+                    <a href="${Utils.escapeHtml(linkBuilder.build(shop.link, linkBuilder.getSourcePlacement('shop-detail'), shop))}"
+                       target="_blank"
+                       rel="noopener sponsored"
+                       data-track="shop"
+                       data-track-id="${Utils.escapeHtml(shop.id)}"
+                       data-track-target="outbound"
+                       class="flex-1 py-3 px-4 bg-shopee-500 text-white font-bold rounded-lg hover:bg-shopee-600 transition-colors text-center">
+                        Ghé Shop Ngay
+                    </a>
+                    <div class="flex items-center gap-2">
+                        <button type="button" data-share class="flex-1 px-4 py-2 border border-gray-200 rounded-lg text-gray-600 hover:text-shopee-500 hover:border-shopee-500 transition-colors text-sm">
+                            🔗 Chia sẻ
+                        </button>
+                        ${renderManager.renderFavoriteButton('shops', shop.id)}
+                    </div>
+                </div>
+            </div>
+        `;
+        
+        container.querySelector('[data-share]').addEventListener('click', () => {
+            renderManager.shareLink(shop.name, this.getShareUrl());
+        });
+        renderManager.bindFavoriteButton(container, 'shops', shop);
+    }
+    
+    /**
+     * Fill and wire the filter controls
+     */
+    setupFilters() {
+        const filters = filterManager.activeFilters;
+        const categorySelect = document.getElementById('shopCategoryFilter');
+        const priceSelect = document.getElementById('shopPriceFilter');
+        const discountSelect = document.getElementById('shopDiscountFilter');
+        const sortSelect = document.getElementById('shopSortSelect');
+        const searchInput = document.getElementById('shopProductSearch');
+        
+        if (categorySelect) {
+            // Only offer categories this shop actually sells in
+            const categories = [...new Set(this.products.map(product => product.category))]
+                .filter(key => CONFIG.categories[key]);
+            
+            categorySelect.innerHTML = `
+                <option value="all">Tất cả danh mục</option>
+                ${categories.map(key => `
+                    <option value="${key}">${CONFIG.categories[key].icon} ${Utils.escapeHtml(CONFIG.categories[key].name)}</option>
+                `).join('')}
+            `;
+            // A single select; a multi-category selection from the URL shows as "all"
+            categorySelect.value = filters.category.length === 1 && categories.includes(filters.category[0])
+                ? filters.category[0]
+                : 'all';
+            categorySelect.addEventListener('change', (e) => filterManager.setCategory(e.target.value));
+        }
+        
+        if (priceSelect) {
+            priceSelect.innerHTML = CONFIG.priceRanges.map(range => `
+                <option value="${range.value}">${range.label}</option>
+            `).join('');
+            
+            const current = CONFIG.priceRanges.find(range => range.min === filters.minPrice && range.max === filters.maxPrice);
+            priceSelect.value = current ? current.value : 'all';
+            priceSelect.addEventListener('change', (e) => {
+                const range = CONFIG.priceRanges.find(r => r.value === e.target.value) || CONFIG.priceRanges[0];
+                filterManager.setPriceRange(range.min, range.max);
+            });
+        }
+        
+        if (discountSelect) {
+            discountSelect.innerHTML = CONFIG.discountThresholds.map(threshold => `
+                <option value="${threshold.value}">${threshold.label}</option>
+            `).join('');
+            
+            const current = CONFIG.discountThresholds.find(threshold => threshold.min === filters.minDiscount);
+            discountSelect.value = current ? current.value : 'all';
+            discountSelect.addEventListener('change', (e) => {
+                const threshold = CONFIG.discountThresholds.find(t => t.value === e.target.value) || CONFIG.discountThresholds[0];
+                filterManager.setMinDiscount(threshold.min);
+            });
+        }
+        
+        if (sortSelect) {
+            sortSelect.innerHTML = CONFIG.sortOptions.products.map(option => `
+                <option value="${option.value}">${option.label}</option>
+            `).join('');
+            sortSelect.value = filters.searchQuery ? 'relevance' : settingsManager.get('productSort');
+            sortSelect.addEventListener('change', () => this.renderProducts());
+        }
+        
+        if (searchInput) {
+            searchInput.value = filters.searchQuery;
+            searchInput.addEventListener('input', Utils.debounce((e) => {
+                const query = e.target.value.trim();
+                
+                // A new search starts ranked by relevance
+                if (query && !filterManager.activeFilters.searchQuery && sortSelect) {
+                    sortSelect.value = 'relevance';
+                }
+                filterManager.setSearchQuery(query);
+            }, CONFIG.search.debounceDelay));
+        }
+    }
+    
+    /**
+     * Reset filters and their controls
+     */
+    resetFilters() {
+        filterManager.resetFilters();
+        
+        ['shopCategoryFilter', 'shopPriceFilter', 'shopDiscountFilter'].forEach(id => {
+            const select = document.getElementById(id);
+            if (select) select.value = 'all';
+        });
+        
+        const searchInput = document.getElementById('shopProductSearch');
+        if (searchInput) searchInput.value = '';
+    }
+    
+    /**
+     * On settings change
+     * A new default sort replaces the selected one, unless the visitor is
+     * ranking a search by relevance.
+     */
+    onSettingsChange() {
+        const sortSelect = document.getElementById('shopSortSelect');
+        if (sortSelect && sortSelect.value !== 'relevance') {
+            sortSelect.value = settingsManager.get('productSort');
+        }
+        
+        this.renderProducts();
+    }
+    
+    /**
+     * Get the active sort (sort select, else the user's default)
+     * @returns {string} Sort key
+     */
+    getCurrentSort() {
+        return document.getElementById('shopSortSelect')?.value || settingsManager.get('productSort');
+    }
+    
+    /**
+     * Render the filtered, sorted products of this shop
+     * @param {number} page - Page to show
+     */
+    renderProducts(page = 1) {
+        const container = document.getElementById('shopProductsGrid');
+        const paginationContainer = document.getElementById('shopProductsPagination');
+        const stats = document.getElementById('shopProductsStats');
+        if (!container) return;
+        
+        const pageSize = settingsManager.get('productsPerPage');
+        const products = filterManager.getSortedData(
+            this.getCurrentSort(),
+            (items, key) => csvHandler.sortProducts(items, key),
+            settingsManager.get('productSort')
+        );
+        const statistics = filterManager.getStatistics();
+        
+        if (stats) {
+            stats.innerHTML = `
+                <span class="font-semibold text-shopee-500">${statistics.filteredItems}</span> / ${statistics.totalItems} sản phẩm
+                ${statistics.appliedFilters > 0 ? `
+                    · <button type="button" data-reset-filters class="text-shopee-500 hover:text-shopee-600 font-semibold">Xóa bộ lọc</button>
+                ` : ''}
+            `;
+            stats.querySelector('[data-reset-filters]')?.addEventListener('click', () => this.resetFilters());
+        }
+        
+        renderManager.renderProductsGrid(products, container, pageSize, page);
+        
+        if (paginationContainer) {
+            renderManager.renderPagination(
+                paginationContainer,
+                page,
+                Math.ceil(products.length / pageSize),
+                (newPage) => {
+                    this.renderProducts(newPage);
+                    Utils.scrollToElement('#shopProductsGrid', 100);
+                }
+            );
+        }
+    }
+    
+    /**
+     * Show not found state
+     */
+    renderNotFound() {
+        const container = document.getElementById('shopInfo');
+        if (container) {
+            container.innerHTML = `
+                <div class="text-center py-12">
+                    <div class="text-6xl mb-4">🏪</div>
+                    <h3 class="text-lg font-semibold text-gray-700 mb-2">Không tìm thấy shop</h3>
+                    <p class="text-gray-500 mb-4">Shop có thể đã ngừng hợp tác hoặc liên kết không đúng.</p>
+                    <a href="shops.html" class="inline-block px-6 py-2 bg-shopee-500 text-white font-semibold rounded-lg hover:bg-shopee-600 transition-colors">
+                        Xem shop uy tín khác
+                    </a>
+                </div>
+            `;
+        }
+        
+        this.hideProducts();
+    }
+    
+    /**
+     * Hide the product listing
+     */
+    hideProducts() {
+        const section = document.getElementById('shopProductsSection');
+        if (section) section.classList.add('hidden');
+    }
+    
+    /**
+     * Attach search suggestions to the header search inputs
+     * Submitting opens the products page with the query.
+     */
+    initializeSearch() {
+        searchAutocomplete.setData({
+            products: this.productsData.all,
+            shops: this.shopsData.all
+        }).catch(error => {
+            console.error('[ShopDetailApp] Search suggestions unavailable:', error);
+        });
+        
+        searchAutocomplete.attach(document.getElementById('productSearchInput'));
+        searchAutocomplete.attach(document.getElementById('mobileProductSearch'));
+    }
+    
+    /**
+     * Show error message
+     */
+    showErrorMessage() {
+        const container = document.getElementById('shopInfo');
+        if (container) {
+            container.innerHTML = `
+                <div class="text-center py-12">
+                    <div class="text-6xl mb-4">⚠️</div>
+                    <h3 class="text-lg font-semibold text-gray-700 mb-2">Có lỗi xảy ra</h3>
+                    <p class="text-gray-500">Không thể tải dữ liệu. Vui lòng tải lại trang.</p>
+                </div>
+            `;
+        }
+        
+        this.hideProducts();
+    }
+}
+
+// Initialize when DOM is ready
+document.addEventListener('DOMContentLoaded', async () => {
+    const app = new ShopDetailApp();
+    await app.init();
+});
+
+// Export for module usage
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ShopDetailApp;
+}
\ No newline at end of file
@@ -14,6 +14,9 @@
 class ShopsApp {
     constructor() {
         this.shopsData = null;
+        this.productsData = null;
+        this.preferredTiers = [];
+        this.searchInputIds = ['shopSearchInput', 'mobileShopSearch'];
         this.isInitialized = false;
     }
     
@@ -27,22 +30,25 @@ class ShopsApp {
             // Load data
             await this.loadData();
             
+            // Setup search manager (the filter manager ranks text search with its index)
+            await searchManager.initSearch(this.shopsData.all, 'shops');
+            
             // Setup filter manager
-            filterManager.initFromURL();
+            this.preferredTiers = settingsManager.get('preferredTiers');
+            filterManager.initFromURL({ tier: this.preferredTiers });
             filterManager.setData(this.shopsData.all);
             
-            // Setup search manager
-            searchManager.initSearch(this.shopsData.all, 'shops');
-            
             // Setup UI
             this.setupFilters();
             this.setupSearch();
             this.setupSorting();
+            this.renderFilterControls();
             this.renderInitialData();
             
             // Subscribe to changes
             filterManager.subscribe(() => this.onFilterChange());
-            searchManager.subscribe(() => this.onSearchChange());
+            settingsManager.subscribe(() => this.onSettingsChange());
+            csvHandler.subscribe((updates) => this.onDataUpdate(updates));
             
             this.isInitialized = true;
             console.log('[ShopsApp] Initialized successfully');
@@ -53,15 +59,22 @@ class ShopsApp {
     }
     
     /**
-     * Load CSV data
+     * Load catalog data
      */
     async loadData() {
         console.log('[ShopsApp] Loading shops data...');
         
         try {
-            const shopsRaw = await csvHandler.loadCSV(CONFIG.api.endpoints.shops);
+            const [shopsRaw, productsRaw] = await Promise.all([
+                csvHandler.loadData(CONFIG.api.endpoints.shops),
+                csvHandler.loadData(CONFIG.api.endpoints.products)
+            ]);
+            
             this.shopsData = csvHandler.processShopData(shopsRaw);
             
+            // Products link to shops (product counts) and feed search suggestions
+            this.productsData = csvHandler.processProductData(productsRaw, this.shopsData);
+            
             console.log('[ShopsApp] Shops data loaded:', this.shopsData.all.length);
         } catch (error) {
             console.error('[ShopsApp] Error loading data:', error);
@@ -73,70 +86,144 @@ class ShopsApp {
      * Setup filter controls
      */
     setupFilters() {
-        // Category filters
-        const categoryButtons = document.querySelectorAll('[data-category-filter]');
-        categoryButtons.forEach(btn => {
-            btn.addEventListener('click', () => {
-                categoryButtons.forEach(b => b.classList.remove('active'));
-                btn.classList.add('active');
-                
-                const category = btn.dataset.categoryFilter;
-                filterManager.setCategory(category);
-            });
+        // Category / tier chips ([data-filter-chips="category|tier"]) toggle facet values
+        document.querySelectorAll('[data-filter-chips]').forEach(container => {
+            renderManager.bindFilterChips(container, container.dataset.filterChips);
         });
         
-        // Tier filters
-        const tierButtons = document.querySelectorAll('[data-tier-filter]');
-        tierButtons.forEach(btn => {
-            btn.addEventListener('click', () => {
-                tierButtons.forEach(b => b.classList.remove('active'));
-                btn.classList.add('active');
-                
-                const tier = btn.dataset.tierFilter;
-                filterManager.setTier(tier);
+        // Shop filters
+        const verifiedBtn = document.getElementById('verifiedFilter');
+        if (verifiedBtn) {
+            verifiedBtn.addEventListener('click', () => {
+                filterManager.setVerified(!filterManager.activeFilters.verified);
             });
-        });
+        }
+        
+        const typeSelect = document.getElementById('shopTypeFilter');
+        if (typeSelect) {
+            typeSelect.addEventListener('change', (e) => filterManager.setShopType(e.target.value));
+        }
+        
+        const followersSelect = document.getElementById('followersFilter');
+        if (followersSelect) {
+            followersSelect.addEventListener('change', (e) => {
+                const threshold = CONFIG.shopFilters.followerThresholds.find(t => t.value === e.target.value);
+                filterManager.setMinFollowers(threshold ? threshold.min : 0);
+            });
+        }
+        
+        const ratingCountSelect = document.getElementById('ratingCountFilter');
+        if (ratingCountSelect) {
+            ratingCountSelect.addEventListener('change', (e) => {
+                const threshold = CONFIG.shopFilters.ratingCountThresholds.find(t => t.value === e.target.value);
+                filterManager.setMinRatingCount(threshold ? threshold.min : 0);
+            });
+        }
         
         // Reset filters button
         const resetBtn = document.getElementById('resetFilters');
         if (resetBtn) {
-            resetBtn.addEventListener('click', () => {
-                filterManager.resetFilters();
-                categoryButtons.forEach(b => b.classList.remove('active'));
-                tierButtons.forEach(b => b.classList.remove('active'));
-                document.querySelector('[data-category-filter="all"]')?.classList.add('active');
-                document.querySelector('[data-tier-filter="all"]')?.classList.add('active');
-            });
+            resetBtn.addEventListener('click', () => this.resetFilters());
         }
     }
     
+    /**
+     * Render filter chips and shop filters with live result counts
+     */
+    renderFilterControls() {
+        const filters = filterManager.activeFilters;
+        const counts = filterManager.getFacetCounts();
+        
+        document.querySelectorAll('[data-filter-chips]').forEach(container => {
+            const facet = container.dataset.filterChips;
+            renderManager.renderFilterChips(container, facet, filters[facet], counts[facet]);
+        });
+        
+        renderManager.renderFilterToggle(
+            document.getElementById('verifiedFilter'),
+            '✓ Đã xác minh',
+            filters.verified,
+            counts.verified.verified
+        );
+        
+        renderManager.renderFilterOptions(
+            document.getElementById('shopTypeFilter'),
+            CONFIG.shopFilters.types,
+            counts.shopType,
+            filters.shopType
+        );
+        
+        const followers = CONFIG.shopFilters.followerThresholds.find(t => t.min === filters.minFollowers);
+        renderManager.renderFilterOptions(
+            document.getElementById('followersFilter'),
+            CONFIG.shopFilters.followerThresholds,
+            counts.followers,
+            followers ? followers.value : 'all'
+        );
+        
+        const ratingCount = CONFIG.shopFilters.ratingCountThresholds.find(t => t.min === filters.minRatingCount);
+        renderManager.renderFilterOptions(
+            document.getElementById('ratingCountFilter'),
+            CONFIG.shopFilters.ratingCountThresholds,
+            counts.ratingCount,
+            ratingCount ? ratingCount.value : 'all'
+        );
+    }
+    
     /**
      * Setup search functionality
+     * Typing filters the grid; the dropdown suggests products, shops and categories.
      */
     setupSearch() {
-        const searchInput = document.getElementById('shopsSearchInput');
+        searchAutocomplete.setData({
+            products: this.productsData.all,
+            shops: this.shopsData.all
+        }).catch(error => {
+            console.error('[ShopsApp] Search suggestions unavailable:', error);
+        });
         
-        if (searchInput) {
-            searchInput.addEventListener('input', (e) => {
-                const query = e.target.value;
-                
-                if (query.length >= CONFIG.search.minQueryLength) {
-                    searchManager.search(query);
-                } else if (query.length === 0) {
-                    searchManager.clearResults();
-                    this.renderInitialData();
-                }
+        this.searchInputIds.forEach(id => {
+            const searchInput = document.getElementById(id);
+            if (!searchInput) return;
+            
+            searchInput.value = filterManager.activeFilters.searchQuery;
+            searchInput.addEventListener('input', Utils.debounce((e) => {
+                this.applySearch(e.target.value.trim());
+            }, CONFIG.search.debounceDelay));
+            
+            searchAutocomplete.attach(searchInput, {
+                onSubmit: (query) => this.applySearch(query)
             });
+        });
+    }
+    
+    /**
+     * Apply a text search
+     * @param {string} query - Search query
+     */
+    applySearch(query) {
+        const sortSelect = document.getElementById('sortFilter');
+        
+        // A new search starts ranked by relevance
+        if (query && !filterManager.activeFilters.searchQuery && sortSelect) {
+            sortSelect.value = 'relevance';
         }
+        
+        // Search composes with the active filters, sort and pagination
+        filterManager.setSearchQuery(query);
     }
     
     /**
      * Setup sorting
      */
     setupSorting() {
-        const sortSelect = document.getElementById('shopsSortSelect');
+        const sortSelect = document.getElementById('sortFilter');
         
         if (sortSelect) {
+            sortSelect.innerHTML = CONFIG.sortOptions.shops.map(option => `
+                <option value="${option.value}">${option.label}</option>
+            `).join('');
+            sortSelect.value = filterManager.activeFilters.searchQuery ? 'relevance' : settingsManager.get('shopSort');
             sortSelect.addEventListener('change', (e) => {
                 const sortBy = e.target.value;
                 this.renderShopsWithSort(sortBy);
@@ -144,6 +231,64 @@ class ShopsApp {
         }
     }
     
+    /**
+     * Get the page size from user settings
+     * @returns {number} Shops per page
+     */
+    getPageSize() {
+        return settingsManager.get('shopsPerPage');
+    }
+    
+    /**
+     * Get the active sort (sort select, else the user's default)
+     * @returns {string} Sort key
+     */
+    getCurrentSort() {
+        return document.getElementById('sortFilter')?.value || settingsManager.get('shopSort');
+    }
+    
+    /**
+     * Get the filtered shops in display order
+     * @param {string} sortBy - Sort key
+     * @returns {Array} Shops
+     */
+    getSortedShops(sortBy = this.getCurrentSort()) {
+        return filterManager.getSortedData(
+            sortBy,
+            (shops, key) => csvHandler.sortShops(shops, key),
+            settingsManager.get('shopSort')
+        );
+    }
+    
+    /**
+     * Render a page of shops with pagination
+     * The page is kept in the URL (?page=), page 1 is left out.
+     * @param {Array} shops - Shops to render
+     * @param {number} page - Page number (clamped to the available pages)
+     */
+    renderShopsPage(shops, page = 1) {
+        const container = document.getElementById('shopsContainer');
+        const paginationContainer = document.getElementById('shopsPagination');
+        const pageSize = this.getPageSize();
+        const current = Math.min(Math.max(1, page), Math.max(1, Math.ceil(shops.length / pageSize)));
+        
+        renderManager.renderShopsGrid(shops, container, pageSize, current);
+        
+        if (paginationContainer) {
+            renderManager.renderPagination(
+                paginationContainer,
+                current,
+                renderManager.totalPages,
+                (newPage) => {
+                    this.renderShopsPage(shops, newPage);
+                    Utils.scrollToElement('#shopsContainer', 100);
+                }
+            );
+        }
+        
+        Utils.updateQueryParams({ page: current > 1 ? current : null }, true);
+    }
+    
     /**
      * Render initial data
      */
@@ -153,7 +298,7 @@ class ShopsApp {
         
         if (!container) return;
         
-        const filteredShops = filterManager.getFilteredData();
+        const filteredShops = this.getSortedShops();
         const statistics = filterManager.getStatistics();
         
         // Update statistics
@@ -182,15 +327,12 @@ class ShopsApp {
             // Re-attach reset button listener
             const resetBtn = document.getElementById('resetFilters');
             if (resetBtn) {
-                resetBtn.addEventListener('click', () => {
-                    filterManager.resetFilters();
-                    this.renderInitialData();
-                });
+                resetBtn.addEventListener('click', () => this.resetFilters());
             }
         }
         
-        // Render shops
-        renderManager.renderShopsGrid(filteredShops, container, 100);
+        // Render shops; shared links may point at a later page (?page=)
+        this.renderShopsPage(filteredShops, parseInt(Utils.getQueryParams().page, 10) || 1);
     }
     
     /**
@@ -201,43 +343,95 @@ class ShopsApp {
         
         if (!container) return;
         
-        let filteredShops = filterManager.getFilteredData();
-        const sorted = csvHandler.sortShops(filteredShops, sortBy);
-        
-        renderManager.renderShopsGrid(sorted, container, 100);
+        this.renderShopsPage(this.getSortedShops(sortBy));
     }
     
     /**
      * On filter change
      */
     onFilterChange() {
-        const currentSort = document.getElementById('shopsSortSelect')?.value || 'rating-desc';
-        this.renderShopsWithSort(currentSort);
+        this.renderFilterControls();
+        this.renderShopsWithSort(this.getCurrentSort());
         
-        // Scroll to results
-        Utils.scrollToElement('#shopsContainer', 100);
+        // Scroll to results, but not away from a search being typed
+        if (!this.searchInputIds.includes(document.activeElement?.id)) {
+            Utils.scrollToElement('#shopsContainer', 100);
+        }
     }
     
     /**
-     * On search change
+     * Reset filters and their controls
      */
-    onSearchChange() {
-        const container = document.getElementById('shopsContainer');
-        const results = searchManager.getResults();
+    resetFilters() {
+        this.searchInputIds.forEach(id => {
+            const searchInput = document.getElementById(id);
+            if (searchInput) searchInput.value = '';
+        });
         
-        if (results.length === 0) {
-            if (container) {
-                container.innerHTML = `
-                    <div class="col-span-full text-center py-12">
-                        <div class="text-6xl mb-4">🔍</div>
-                        <h3 class="text-lg font-semibold text-gray-700 mb-2">Không tìm thấy shop</h3>
-                        <p class="text-gray-500">Thử tìm kiếm với từ khóa khác</p>
-                    </div>
-                `;
+        // Relevance only ranks a search
+        const sortSelect = document.getElementById('sortFilter');
+        if (sortSelect && sortSelect.value === 'relevance') {
+            sortSelect.value = settingsManager.get('shopSort');
+        }
+        
+        filterManager.resetFilters();
+    }
+    
+    /**
+     * On settings change
+     */
+    onSettingsChange() {
+        // A changed tier preference replaces the tier filter
+        const preferredTiers = settingsManager.get('preferredTiers');
+        if (preferredTiers.join(',') !== this.preferredTiers.join(',')) {
+            this.preferredTiers = preferredTiers;
+            filterManager.setTier(preferredTiers);
+        }
+        
+        const sortSelect = document.getElementById('sortFilter');
+        if (sortSelect && sortSelect.value !== 'relevance') {
+            sortSelect.value = settingsManager.get('shopSort');
+        }
+        
+        this.renderShopsWithSort(this.getCurrentSort());
+    }
+    
+    /**
+     * On fresh catalog data
+     * A cached catalog was revalidated in the background: re-process what
+     * changed, re-index and re-render, keeping the visitor's filters, sort
+     * and page.
+     * @param {Array} updates - Batch from csvHandler.subscribe
+     */
+    async onDataUpdate(updates) {
+        const updated = csvHandler.getUpdatedEndpoints(updates);
+        if (!updated.has('shops') && !updated.has('products')) return;
+        
+        try {
+            if (updated.has('shops')) {
+                this.shopsData = csvHandler.processShopData(await csvHandler.loadData(CONFIG.api.endpoints.shops));
             }
-        } else {
-            const shops = results.map(r => r.originalData);
-            renderManager.renderShopsGrid(shops, container, 100);
+            
+            // Products join shops, so either change re-processes them
+            this.productsData = csvHandler.processProductData(
+                await csvHandler.loadData(CONFIG.api.endpoints.products),
+                this.shopsData
+            );
+            
+            await searchManager.initSearch(this.shopsData.all, 'shops');
+            filterManager.setData(this.shopsData.all);
+            
+            searchAutocomplete.setData({
+                products: this.productsData.all,
+                shops: this.shopsData.all
+            }).catch(error => {
+                console.error('[ShopsApp] Search suggestions unavailable:', error);
+            });
+            
+            this.renderFilterControls();
+            this.renderInitialData();
+        } catch (error) {
+            console.error('[ShopsApp] Error refreshing data:', error);
         }
     }
     
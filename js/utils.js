@@ -169,9 +169,118 @@ const Utils = {
             .normalize('NFD')
             .replace(/[\u0300-\u036f]/g, '')
             .toLowerCase()
+            .replace(/đ/g, 'd')
             .trim();
     },
     
+    /**
+     * Strip Telex / VNI typing keys from a normalized word
+     * ("aos" -> "ao", "thuwowng" -> "thuong", "a1o" -> "ao", "ddo" -> "do")
+     * Vietnamese words never end in these keys, so the result may be wrong
+     * for foreign words ("jeans" -> "jean"); use it as an extra variant only.
+     * @param {string} word - Word from normalizeVietnamese
+     * @returns {string} Decoded word
+     */
+    decodeTelex(word) {
+        if (!word || !/[a-z]/.test(word)) return word || '';
+        
+        return word
+            // VNI: tone and vowel keys are digits
+            .replace(/[1-9]/g, '')
+            // Telex vowel / consonant keys: aa, aw, ee, oo, ow, uw, w, dd
+            .replace(/dd/g, 'd')
+            .replace(/([aeo])\1/g, '$1')
+            .replace(/([aou])w/g, '$1')
+            .replace(/w/g, 'u')
+            // Telex tone key after the vowel or after the final consonant
+            .replace(/([aeiouy])[sfrxj](?=(c|ch|m|n|ng|nh|p|t)?$)/, '$1')
+            .replace(/([aeiouy](c|ch|m|n|ng|nh|p|t))[sfrxj]$/, '$1');
+    },
+    
+    /**
+     * Edit distance between two strings (insert, delete, substitute, swap adjacent)
+     * @param {string} a - First string
+     * @param {string} b - Second string
+     * @param {number} max - Stop early and return max + 1 once the distance exceeds this
+     * @returns {number} Edit distance
+     */
+    editDistance(a, b, max = Infinity) {
+        if (Math.abs(a.length - b.length) > max) return max + 1;
+        
+        let prevPrev = [];
+        let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+        
+        for (let i = 1; i <= a.length; i++) {
+            const row = [i];
+            let rowMin = i;
+            
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+                
+                if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    row[j] = Math.min(row[j], prevPrev[j - 2] + 1);
+                }
+                rowMin = Math.min(rowMin, row[j]);
+            }
+            
+            if (rowMin > max) return max + 1;
+            prevPrev = prev;
+            prev = row;
+        }
+        
+        return prev[b.length];
+    },
+    
+    /**
+     * Bigram (Dice) similarity of two words, padded so first and last letters count
+     * @param {string} a - First word
+     * @param {string} b - Second word
+     * @returns {number} Similarity from 0 to 1
+     */
+    ngramSimilarity(a, b) {
+        const bigrams = (word) => {
+            const padded = ` ${word} `;
+            const grams = [];
+            for (let i = 0; i < padded.length - 1; i++) {
+                grams.push(padded.slice(i, i + 2));
+            }
+            return grams;
+        };
+        
+        const gramsA = bigrams(a);
+        const gramsB = bigrams(b);
+        const remaining = [...gramsB];
+        let shared = 0;
+        
+        gramsA.forEach(gram => {
+            const index = remaining.indexOf(gram);
+            if (index !== -1) {
+                shared++;
+                remaining.splice(index, 1);
+            }
+        });
+        
+        return (2 * shared) / (gramsA.length + gramsB.length);
+    },
+    
+    /**
+     * Hash a string (32-bit FNV-1a)
+     * @param {string} text - Text to hash
+     * @returns {string} Hex hash
+     */
+    hashString(text) {
+        let hash = 0x811c9dc5;
+        const str = String(text);
+        
+        for (let i = 0; i < str.length; i++) {
+            hash ^= str.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        
+        return (hash >>> 0).toString(16).padStart(8, '0');
+    },
+    
     // ===== DATE & TIME =====
     
     /**
@@ -268,6 +377,41 @@ const Utils = {
         };
     },
     
+    /**
+     * Copy text to the clipboard
+     * Falls back to a hidden textarea where the Clipboard API is unavailable
+     * (older browsers, non-HTTPS pages).
+     * @param {string} text - Text to copy
+     * @returns {Promise<boolean>} Whether the text was copied
+     */
+    async copyToClipboard(text) {
+        if (navigator.clipboard && window.isSecureContext) {
+            try {
+                await navigator.clipboard.writeText(text);
+                return true;
+            } catch (e) {
+                console.warn('Clipboard API failed, using fallback:', e);
+            }
+        }
+        
+        const textarea = document.createElement('textarea');
+        textarea.value = text;
+        textarea.setAttribute('readonly', '');
+        textarea.style.position = 'fixed';
+        textarea.style.opacity = '0';
+        document.body.appendChild(textarea);
+        textarea.select();
+        
+        try {
+            return document.execCommand('copy');
+        } catch (e) {
+            console.error('Error copying to clipboard:', e);
+            return false;
+        } finally {
+            textarea.remove();
+        }
+    },
+    
     /**
      * Smooth scroll to element
      * @param {string|HTMLElement} target - Target element or selector
@@ -421,6 +565,42 @@ const Utils = {
         }
     },
     
+    /**
+     * Update the page title, description, canonical link and Open Graph /
+     * Twitter tags of a shareable page
+     * @param {Object} meta - { title, description, image, url, type }
+     */
+    setPageMeta(meta) {
+        const setMeta = (attr, key, content) => {
+            let tag = document.querySelector(`meta[${attr}="${key}"]`);
+            if (!tag) {
+                tag = document.createElement('meta');
+                tag.setAttribute(attr, key);
+                document.head.appendChild(tag);
+            }
+            tag.setAttribute('content', content || '');
+        };
+        
+        document.title = meta.title;
+        setMeta('name', 'description', meta.description);
+        setMeta('property', 'og:type', meta.type || 'website');
+        setMeta('property', 'og:title', meta.title);
+        setMeta('property', 'og:description', meta.description);
+        setMeta('property', 'og:image', meta.image);
+        setMeta('property', 'og:url', meta.url);
+        setMeta('name', 'twitter:title', meta.title);
+        setMeta('name', 'twitter:description', meta.description);
+        setMeta('name', 'twitter:image', meta.image);
+        
+        let canonical = document.querySelector('link[rel="canonical"]');
+        if (!canonical) {
+            canonical = document.createElement('link');
+            canonical.rel = 'canonical';
+            document.head.appendChild(canonical);
+        }
+        canonical.href = meta.url;
+    },
+    
     // ===== RANDOM UTILITIES =====
     
     /**
@@ -447,14 +627,6 @@ const Utils = {
         return Math.floor(Math.random() * (max - min + 1)) + min;
     },
     
-    /**
-     * Generate random star rating (for demo)
-     * @returns {number} Rating between 4.0 and 5.0
-     */
-    generateRandomRating() {
-        return (4 + Math.random()).toFixed(1);
-    },
-    
     // ===== ARRAY UTILITIES =====
     
     /**
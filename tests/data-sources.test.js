@@ -0,0 +1,257 @@
+/**
+ * ============================================
+ * DATA-SOURCES.TEST.JS - Shopee Affiliate Hub
+ * REST, JSON and JSONL sources through the shop/product pipeline
+ * Run: node --test tests/
+ * ============================================
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const http = require('node:http');
+const path = require('node:path');
+const vm = require('node:vm');
+
+// Loaded in page order, as the browser would
+const SCRIPTS = ['config.js', 'utils.js', 'schema.js', 'data-sources.js', 'cache-store.js', 'csv-handler.js'];
+
+// ===== FIXTURES =====
+
+const SHOPS = [
+    {
+        id: 'shop_001',
+        shopName: 'Fashion Pro',
+        category: 'thoi-trang',
+        rating: 4.8,
+        ratingCount: 15420,
+        affiliateLink: 'https://shopee.vn/shop/123456',
+        tier: 'n1',
+        verified: true
+    },
+    {
+        id: 'shop_002',
+        shopName: 'My Pham Viet',
+        category: 'my-pham',
+        rating: 4.6,
+        affiliateLink: 'https://shopee.vn/shop/234567',
+        tier: 'n2'
+    },
+    // Rejected: link outside Shopee
+    {
+        id: 'shop_003',
+        shopName: 'Elsewhere',
+        category: 'dien-tu',
+        affiliateLink: 'https://example.com/shop'
+    }
+];
+
+const PRODUCTS = [
+    {
+        id: 'prod_001',
+        product_name: 'Áo thun cotton nam',
+        category: 'thoi-trang',
+        original_price: 150000,
+        sale_price: 89000,
+        affiliate_link: 'https://shopee.vn/product/001',
+        sold_count: '5.2k',
+        tier: 'n1',
+        shop_id: 'shop_001',
+        variants: [
+            { name: 'Trắng - M', salePrice: 89000, originalPrice: 150000 },
+            { name: 'Đen - XL', salePrice: 99000, originalPrice: 150000 }
+        ]
+    },
+    {
+        id: 'prod_002',
+        product_name: 'Kem dưỡng da mặt',
+        category: 'my-pham',
+        original_price: 320000,
+        sale_price: 179000,
+        affiliate_link: 'https://shopee.vn/product/002',
+        shop_name: 'My Pham Viet'
+    },
+    // Rejected: missing sale price
+    {
+        id: 'prod_003',
+        product_name: 'Tai nghe',
+        category: 'dien-tu',
+        affiliate_link: 'https://shopee.vn/product/003'
+    }
+];
+
+const ROUTES = {
+    '/api/shops': () => JSON.stringify({ data: SHOPS }),
+    '/api/products': () => JSON.stringify({ data: PRODUCTS }),
+    '/shops.json': () => JSON.stringify(SHOPS),
+    '/products.json': () => JSON.stringify(PRODUCTS),
+    '/shops.jsonl': () => SHOPS.map(shop => JSON.stringify(shop)).join('\n'),
+    '/products.jsonl': () => [...PRODUCTS.map(product => JSON.stringify(product)), '{ not json'].join('\n')
+};
+
+// ===== HELPERS =====
+
+/**
+ * Serve the fixtures on a free local port
+ * @returns {Promise<Object>} { baseUrl, requests, close }
+ */
+async function startServer() {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        const route = ROUTES[req.url];
+        requests.push({ url: req.url, accept: req.headers.accept });
+        
+        if (!route) {
+            res.writeHead(404);
+            res.end();
+            return;
+        }
+        
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(route());
+    });
+    
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    
+    return {
+        baseUrl: `http://127.0.0.1:${server.address().port}`,
+        requests: requests,
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
+
+/**
+ * Load the site scripts into a fresh browser-like context
+ * No IndexedDB, so every load goes to the network.
+ * @returns {Object} { csvHandler }
+ */
+function loadSite() {
+    const context = vm.createContext({
+        console: { log() {}, warn() {}, error() {} },
+        location: { hostname: 'localhost', href: 'http://localhost/' },
+        navigator: { maxTouchPoints: 0 },
+        fetch: fetch,
+        AbortController: AbortController,
+        URL: URL,
+        setTimeout: setTimeout,
+        clearTimeout: clearTimeout
+    });
+    context.window = context;
+    
+    SCRIPTS.forEach(file => {
+        const code = fs.readFileSync(path.join(__dirname, '..', 'js', file), 'utf8');
+        vm.runInContext(code, context, { filename: file });
+    });
+    
+    return { csvHandler: vm.runInContext('csvHandler', context) };
+}
+
+/**
+ * List the ids of some records
+ * Compared as a string: the arrays come from another realm.
+ * @param {Array} items - Records
+ * @returns {string} Comma-separated ids
+ */
+function ids(items) {
+    return items.map(item => item.id).join(',');
+}
+
+/**
+ * Load shops and products from two endpoints and process them
+ * @param {Object} csvHandler - Site CSV handler
+ * @param {string|Object} shopsEndpoint - Shops endpoint
+ * @param {string|Object} productsEndpoint - Products endpoint
+ * @returns {Promise<Object>} { shopsData, productsData }
+ */
+async function loadCatalog(csvHandler, shopsEndpoint, productsEndpoint) {
+    const shopsData = csvHandler.processShopData(await csvHandler.loadData(shopsEndpoint));
+    const productsData = csvHandler.processProductData(await csvHandler.loadData(productsEndpoint), shopsData);
+    return { shopsData, productsData };
+}
+
+/**
+ * Check the catalog built from the fixtures, whatever the source
+ * @param {Object} catalog - { shopsData, productsData }
+ */
+function assertCatalog({ shopsData, productsData }) {
+    assert.equal(ids(shopsData.all), 'shop_001,shop_002');
+    assert.equal(ids(shopsData.report.rejected), 'shop_003');
+    
+    const fashionPro = shopsData.all[0];
+    assert.equal(fashionPro.name, 'Fashion Pro');
+    assert.equal(fashionPro.rating, 4.8);
+    assert.equal(fashionPro.verified, true);
+    
+    assert.equal(ids(productsData.all), 'prod_001,prod_002');
+    assert.equal(ids(productsData.report.rejected), 'prod_003');
+    
+    // Variants from JSON arrays price the product as a range
+    const shirt = productsData.all[0];
+    assert.equal(shirt.minPrice, 89000);
+    assert.equal(shirt.maxPrice, 99000);
+    assert.equal(shirt.hasPriceRange, true);
+    assert.equal(shirt.soldCount, 5200);
+    
+    // Joined by shop_id, then by shop name
+    assert.equal(shirt.shop.id, 'shop_001');
+    assert.equal(productsData.all[1].shop.id, 'shop_002');
+    assert.equal(fashionPro.productCount, 1);
+}
+
+// ===== TESTS =====
+
+test('REST source', async () => {
+    const server = await startServer();
+    
+    try {
+        const { csvHandler } = loadSite();
+        const catalog = await loadCatalog(
+            csvHandler,
+            { type: 'rest', url: `${server.baseUrl}/api/shops`, dataPath: 'data' },
+            { type: 'rest', url: `${server.baseUrl}/api/products`, dataPath: 'data' }
+        );
+        
+        assertCatalog(catalog);
+        assert.ok(server.requests.every(request => request.accept === 'application/json'));
+    } finally {
+        await server.close();
+    }
+});
+
+test('JSON source (typed by extension)', async () => {
+    const server = await startServer();
+    
+    try {
+        const { csvHandler } = loadSite();
+        assertCatalog(await loadCatalog(csvHandler, `${server.baseUrl}/shops.json`, `${server.baseUrl}/products.json`));
+    } finally {
+        await server.close();
+    }
+});
+
+test('JSONL source skips malformed lines', async () => {
+    const server = await startServer();
+    
+    try {
+        const { csvHandler } = loadSite();
+        assertCatalog(await loadCatalog(csvHandler, `${server.baseUrl}/shops.jsonl`, `${server.baseUrl}/products.jsonl`));
+    } finally {
+        await server.close();
+    }
+});
+
+test('HTTP errors reach the caller', async () => {
+    const server = await startServer();
+    
+    try {
+        const { csvHandler } = loadSite();
+        await assert.rejects(
+            csvHandler.loadData({ type: 'rest', url: `${server.baseUrl}/api/missing` }),
+            /HTTP 404/
+        );
+    } finally {
+        await server.close();
+    }
+});
\ No newline at end of file